@@ -3,8 +3,8 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 
-// Database file path
-const dbPath = path.join(__dirname, 'data', 'forum.db');
+// Database file path (DATABASE_PATH points elsewhere, e.g. a scratch file for tests)
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'forum.db');
 console.log('Database path:', dbPath);
 
 // Ensure data directory exists
@@ -23,6 +23,106 @@ console.log('Database connection established');
 db.pragma('foreign_keys = ON');
 console.log('Foreign keys enabled');
 
+// Add a column to an existing table when an older database file is missing it.
+// Returns true if the column was added.
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added ${column} column to ${table} table`);
+    return true;
+  }
+  return false;
+}
+
+// Drop a column that older database files still have
+function dropColumnIfExists(table, column) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    console.log(`Dropped ${column} column from ${table} table`);
+  }
+}
+
+// Create an FTS5 index over one text column of a table, plus the triggers that
+// keep it in sync on insert, update and delete. The index only stores tokens;
+// the text itself is read from the original table. A new index is filled from
+// the rows that are already there.
+function createFullTextIndex(table, column) {
+  const ftsTable = `${table}_fts`;
+  const exists = db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(ftsTable);
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS ${ftsTable} USING fts5(
+      ${column}, content='${table}', content_rowid='id', tokenize='porter unicode61'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS ${ftsTable}_insert AFTER INSERT ON ${table} BEGIN
+      INSERT INTO ${ftsTable} (rowid, ${column}) VALUES (new.id, new.${column});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${ftsTable}_delete AFTER DELETE ON ${table} BEGIN
+      INSERT INTO ${ftsTable} (${ftsTable}, rowid, ${column}) VALUES ('delete', old.id, old.${column});
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS ${ftsTable}_update AFTER UPDATE OF ${column} ON ${table} BEGIN
+      INSERT INTO ${ftsTable} (${ftsTable}, rowid, ${column}) VALUES ('delete', old.id, old.${column});
+      INSERT INTO ${ftsTable} (rowid, ${column}) VALUES (new.id, new.${column});
+    END;
+  `);
+
+  if (!exists) {
+    db.exec(`INSERT INTO ${ftsTable} (${ftsTable}) VALUES ('rebuild')`);
+    console.log(`Built ${ftsTable} search index`);
+  }
+}
+
+// The comments table. Deleting a comment never takes its replies with it:
+// comments are normally soft-deleted into "[deleted]" placeholders, and if a
+// parent row does go (with its author's account) the replies are kept as
+// top-level comments.
+function commentsTableSql(name) {
+  return `
+    CREATE TABLE IF NOT EXISTS ${name} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      text TEXT NOT NULL,
+      parent_id INTEGER DEFAULT NULL,
+      is_edited BOOLEAN DEFAULT 0,
+      is_deleted BOOLEAN DEFAULT 0,
+      is_pruned BOOLEAN DEFAULT 0,
+      is_hidden BOOLEAN DEFAULT 0,
+      is_locked BOOLEAN DEFAULT 0,
+      edit_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE SET NULL
+    )
+  `;
+}
+
+// SQLite can't change a foreign key in place, so the comments are copied into
+// a new table with the current schema. Ids are kept, so revisions, reports and
+// the search index still line up; the search triggers and indexes dropped with
+// the old table are created again further down.
+function rebuildCommentsTable() {
+  const columns = db.prepare('PRAGMA table_info(comments)').all().map(col => col.name).join(', ');
+
+  db.pragma('foreign_keys = OFF');
+  try {
+    db.transaction(() => {
+      db.exec(commentsTableSql('comments_rebuild'));
+      db.exec(`INSERT INTO comments_rebuild (${columns}) SELECT ${columns} FROM comments`);
+      db.exec('DROP TABLE comments');
+      db.exec('ALTER TABLE comments_rebuild RENAME TO comments');
+    })();
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  console.log('Rebuilt comments table so deleting a comment keeps its replies');
+}
+
 // Initialize database schema
 function initDatabase() {
   console.log('Initializing database schema...');
@@ -37,49 +137,90 @@ function initDatabase() {
         password_hash TEXT NOT NULL,
         email VARCHAR(255) UNIQUE NOT NULL,
         display_name VARCHAR(100) NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'user',
+        email_verified BOOLEAN DEFAULT 0,
+        pending_email VARCHAR(255) DEFAULT NULL,
+        totp_secret TEXT DEFAULT NULL,
+        totp_enabled BOOLEAN DEFAULT 0,
+        totp_last_step INTEGER DEFAULT 0,
+        allow_pokes BOOLEAN DEFAULT 1,
+        poke_emails BOOLEAN DEFAULT 0,
         profile_color VARCHAR(7) DEFAULT '#000000',
         profile_avatar TEXT DEFAULT NULL,
+        avatar_image TEXT DEFAULT NULL,
         bio TEXT DEFAULT NULL,
-        is_locked BOOLEAN DEFAULT 0,
-        lockout_until DATETIME DEFAULT NULL,
-        failed_login_attempts INTEGER DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         last_login DATETIME DEFAULT NULL
       )
     `);
+    // Roles: 'user', 'moderator' or 'admin'
+    addColumnIfMissing('users', 'role', "VARCHAR(20) NOT NULL DEFAULT 'user'");
+    // Accounts that existed before email verification keep working as verified
+    if (addColumnIfMissing('users', 'email_verified', 'BOOLEAN DEFAULT 0')) {
+      db.exec('UPDATE users SET email_verified = 1');
+    }
+    // A new address waiting to be confirmed; email keeps the old one until then
+    addColumnIfMissing('users', 'pending_email', 'VARCHAR(255) DEFAULT NULL');
+    // Two-factor authentication; totp_last_step stops a code being used twice
+    addColumnIfMissing('users', 'totp_secret', 'TEXT DEFAULT NULL');
+    addColumnIfMissing('users', 'totp_enabled', 'BOOLEAN DEFAULT 0');
+    addColumnIfMissing('users', 'totp_last_step', 'INTEGER DEFAULT 0');
+    // Poke settings: whether others may poke this user, and whether pokes are emailed
+    addColumnIfMissing('users', 'allow_pokes', 'BOOLEAN DEFAULT 1');
+    addColumnIfMissing('users', 'poke_emails', 'BOOLEAN DEFAULT 0');
+    // File name of an uploaded avatar in data/avatars; profile_avatar is the emoji fallback
+    addColumnIfMissing('users', 'avatar_image', 'TEXT DEFAULT NULL');
+    // Account lockout was replaced by the login rate limits, which count login_attempts
+    dropColumnIfExists('users', 'is_locked');
+    dropColumnIfExists('users', 'lockout_until');
+    dropColumnIfExists('users', 'failed_login_attempts');
     console.log('Users table created successfully');
 
     // Sessions table
     console.log('Creating sessions table...');
+    // Earlier schemas required user_id, which rules out sessions that are not
+    // logged in yet. Nothing was ever stored there, so the table is rebuilt.
+    const sessionUserColumn = db.prepare('PRAGMA table_info(sessions)').all().find(col => col.name === 'user_id');
+    if (sessionUserColumn && sessionUserColumn.notnull) {
+      db.exec('DROP TABLE sessions');
+      console.log('Rebuilding sessions table with nullable user_id');
+    }
     db.exec(`
       CREATE TABLE IF NOT EXISTS sessions (
         id TEXT PRIMARY KEY,
-        user_id INTEGER NOT NULL,
+        user_id INTEGER DEFAULT NULL,
         session_data TEXT NOT NULL,
+        user_agent TEXT DEFAULT NULL,
+        ip_address VARCHAR(45) DEFAULT NULL,
         expires_at DATETIME NOT NULL,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       )
     `);
+    // Where and when each login was last used, for the session list on /profile
+    addColumnIfMissing('sessions', 'user_agent', 'TEXT DEFAULT NULL');
+    addColumnIfMissing('sessions', 'ip_address', 'VARCHAR(45) DEFAULT NULL');
+    addColumnIfMissing('sessions', 'last_seen_at', 'DATETIME DEFAULT NULL');
     console.log('Sessions table created successfully');
 
     // Comments table
     console.log('Creating comments table...');
-    db.exec(`
-      CREATE TABLE IF NOT EXISTS comments (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        text TEXT NOT NULL,
-        parent_id INTEGER DEFAULT NULL,
-        is_edited BOOLEAN DEFAULT 0,
-        edit_count INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY (parent_id) REFERENCES comments(id) ON DELETE CASCADE
-      )
-    `);
+    db.exec(commentsTableSql('comments'));
+    // Deleted comments with replies are kept as "[deleted]" placeholders
+    addColumnIfMissing('comments', 'is_deleted', 'BOOLEAN DEFAULT 0');
+    // Deleted comments with nothing left beneath them are not shown at all;
+    // the row stays so moderators keep its edit history
+    addColumnIfMissing('comments', 'is_pruned', 'BOOLEAN DEFAULT 0');
+    // Moderators can hide a comment or lock its thread against new replies
+    addColumnIfMissing('comments', 'is_hidden', 'BOOLEAN DEFAULT 0');
+    addColumnIfMissing('comments', 'is_locked', 'BOOLEAN DEFAULT 0');
+    // Earlier schemas deleted every reply along with its parent
+    const parentKey = db.prepare('PRAGMA foreign_key_list(comments)').all().find(fk => fk.from === 'parent_id');
+    if (parentKey && parentKey.on_delete === 'CASCADE') {
+      rebuildCommentsTable();
+    }
     console.log('Comments table created successfully');
 
     // Login attempts table
@@ -118,13 +259,240 @@ function initDatabase() {
       CREATE TABLE IF NOT EXISTS chat_messages (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_id INTEGER NOT NULL,
+        room_id INTEGER DEFAULT NULL,
         message TEXT NOT NULL,
+        is_hidden BOOLEAN DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (room_id) REFERENCES chat_rooms(id) ON DELETE CASCADE
       )
     `);
     console.log('Chat messages table created successfully');
 
+    // Chat rooms table (public rooms and one-to-one direct messages)
+    console.log('Creating chat_rooms table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_rooms (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name VARCHAR(30) UNIQUE DEFAULT NULL,
+        type VARCHAR(10) NOT NULL DEFAULT 'public',
+        dm_key VARCHAR(50) UNIQUE DEFAULT NULL,
+        created_by INTEGER DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    console.log('Chat rooms table created successfully');
+
+    // Chat room members table, also tracks the last message each member has read
+    console.log('Creating chat_room_members table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_room_members (
+        room_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        last_read_message_id INTEGER DEFAULT 0,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (room_id, user_id),
+        FOREIGN KEY (room_id) REFERENCES chat_rooms(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('Chat room members table created successfully');
+
+    // Every database has the main room; messages from before rooms existed belong to it
+    db.prepare(`INSERT OR IGNORE INTO chat_rooms (name, type) VALUES ('main', 'public')`).run();
+    addColumnIfMissing('chat_messages', 'room_id', 'INTEGER DEFAULT NULL REFERENCES chat_rooms(id) ON DELETE CASCADE');
+    db.exec(`UPDATE chat_messages SET room_id = (SELECT id FROM chat_rooms WHERE name = 'main') WHERE room_id IS NULL`);
+    addColumnIfMissing('chat_messages', 'is_hidden', 'BOOLEAN DEFAULT 0');
+
+    // Reports table (user reports of comments and chat messages)
+    console.log('Creating reports table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        content_type VARCHAR(10) NOT NULL,
+        content_id INTEGER NOT NULL,
+        reporter_id INTEGER NOT NULL,
+        reason VARCHAR(50) NOT NULL,
+        details TEXT DEFAULT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        resolved_by INTEGER DEFAULT NULL,
+        resolved_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    console.log('Reports table created successfully');
+
+    // Moderation log table (audit trail of every moderator action)
+    console.log('Creating moderation_log table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS moderation_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        moderator_id INTEGER DEFAULT NULL,
+        action VARCHAR(50) NOT NULL,
+        target_type VARCHAR(20) NOT NULL,
+        target_id INTEGER NOT NULL,
+        details TEXT DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    console.log('Moderation log table created successfully');
+
+    // User bans table (admin-issued suspensions with an expiry, and permanent bans)
+    console.log('Creating user_bans table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS user_bans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type VARCHAR(20) NOT NULL DEFAULT 'suspension',
+        reason TEXT NOT NULL,
+        expires_at DATETIME DEFAULT NULL,
+        issued_by INTEGER DEFAULT NULL,
+        lifted_by INTEGER DEFAULT NULL,
+        lifted_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (issued_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (lifted_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    console.log('User bans table created successfully');
+
+    // Recovery codes table (one-time codes for signing in without the authenticator app)
+    console.log('Creating recovery_codes table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('Recovery codes table created successfully');
+
+    // Email outbox table (queued mail, sent in the background with retries)
+    console.log('Creating email_outbox table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recipient VARCHAR(255) NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT NOT NULL,
+        text TEXT NOT NULL,
+        description VARCHAR(100) NOT NULL DEFAULT 'Email',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT DEFAULT NULL,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sent_at DATETIME DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log('Email outbox table created successfully');
+
+    // Pokes table (who poked whom and when, for the per-pair cooldown)
+    console.log('Creating pokes table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS pokes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        from_user_id INTEGER NOT NULL,
+        to_user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (from_user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (to_user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('Pokes table created successfully');
+
+    // Notifications table (in-app notices such as replies and pokes)
+    console.log('Creating notifications table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        actor_id INTEGER DEFAULT NULL,
+        message TEXT NOT NULL,
+        url TEXT DEFAULT NULL,
+        is_read BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    console.log('Notifications table created successfully');
+
+    // Notification preferences (one row per type a user has changed; no row means on)
+    console.log('Creating notification_preferences table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER NOT NULL,
+        type VARCHAR(20) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT 1,
+        PRIMARY KEY (user_id, type),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('Notification preferences table created successfully');
+
+    // Comment revisions table (each earlier version of an edited or deleted comment)
+    console.log('Creating comment_revisions table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS comment_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        comment_id INTEGER NOT NULL,
+        editor_id INTEGER DEFAULT NULL,
+        text TEXT NOT NULL,
+        written_at DATETIME NOT NULL,
+        replaced_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+        FOREIGN KEY (editor_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    console.log('Comment revisions table created successfully');
+
+    // Personal API tokens (only a hash of each token is stored)
+    console.log('Creating api_tokens table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix VARCHAR(20) NOT NULL,
+        scopes TEXT NOT NULL,
+        expires_at DATETIME DEFAULT NULL,
+        last_used_at DATETIME DEFAULT NULL,
+        last_used_ip VARCHAR(45) DEFAULT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    console.log('API tokens table created successfully');
+
+    // Requests counted by the rate limiters (hit_at is in milliseconds)
+    console.log('Creating rate_limit_hits table...');
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS rate_limit_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bucket VARCHAR(50) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        hit_at INTEGER NOT NULL
+      )
+    `);
+    console.log('Rate limit hits table created successfully');
+
+    // Full-text search over comments and chat messages (used by /search)
+    console.log('Creating full-text search indexes...');
+    createFullTextIndex('comments', 'text');
+    createFullTextIndex('chat_messages', 'message');
+    console.log('Full-text search indexes created successfully');
+
     // Create indexes for performance
     console.log('Creating database indexes...');
     db.exec(`CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)`);
@@ -132,6 +500,27 @@ function initDatabase() {
     db.exec(`CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address)`);
     db.exec(`CREATE INDEX IF NOT EXISTS idx_comments_user_id ON comments(user_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_chat_messages_room_id ON chat_messages(room_id, id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at ON chat_messages(created_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_chat_room_members_user_id ON chat_room_members(user_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_reports_content ON reports(content_type, content_id)`);
+    db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_reporter ON reports(content_type, content_id, reporter_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_moderation_log_created_at ON moderation_log(created_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_user_bans_user_id ON user_bans(user_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_email_outbox_recipient ON email_outbox(recipient, sent_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_pokes_pair ON pokes(from_user_id, to_user_id, created_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, is_read)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(user_id, created_at DESC)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment_id ON comment_revisions(comment_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_subject ON rate_limit_hits(bucket, subject, hit_at)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_time ON login_attempts(ip_address, attempt_time)`);
 
     console.log('Database schema initialized successfully');
   } catch (error) {
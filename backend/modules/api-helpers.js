@@ -0,0 +1,81 @@
+// modules/api-helpers.js
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Send an error in the API's envelope:
+ * { error: { code, message, details? } }
+ * code is a short machine-readable string such as 'not_found'.
+ */
+function sendApiError(res, status, code, message, details) {
+  const error = { code: code, message: message };
+  if (details) {
+    error.details = details;
+  }
+  return res.status(status).json({ error: error });
+}
+
+/**
+ * Turn the sort key of the last item on a page into an opaque cursor
+ * for the next request
+ */
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Read a cursor made by encodeCursor. Returns null if none was given and
+ * undefined if it is not a cursor we made.
+ */
+function decodeCursor(cursor) {
+  if (cursor === undefined || cursor === '') {
+    return null;
+  }
+
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return values && typeof values === 'object' ? values : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Page size from ?limit=, kept between 1 and MAX_PAGE_SIZE
+ */
+function parseLimit(value) {
+  const limit = parseInt(value) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Express error handler for the API, so bad JSON bodies and unexpected
+ * failures still answer with the error envelope instead of an HTML page
+ */
+function handleApiError(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err.type === 'entity.parse.failed') {
+    return sendApiError(res, 400, 'invalid_json', 'The request body is not valid JSON');
+  }
+
+  if (err.type === 'entity.too.large') {
+    return sendApiError(res, 413, 'payload_too_large', 'The request body is too large');
+  }
+
+  console.error('API error:', err);
+  sendApiError(res, 500, 'internal_error', 'Something went wrong on our side');
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  sendApiError,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  handleApiError
+};
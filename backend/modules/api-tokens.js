@@ -0,0 +1,143 @@
+// modules/api-tokens.js
+const crypto = require('crypto');
+const db = require('../database');
+
+// What a token can be allowed to do. Logged-in browser sessions can do everything.
+const API_TOKEN_SCOPES = [
+  { name: 'read', description: 'Read comments, profiles and your own account' },
+  { name: 'comments:write', description: 'Post, edit and delete your comments' },
+  { name: 'chat', description: 'Read your chat rooms and their history' },
+  { name: 'profile:write', description: 'Change your display name, bio and avatar' }
+];
+
+const SCOPE_NAMES = API_TOKEN_SCOPES.map(scope => scope.name);
+
+// Lifetimes offered when creating a token, in days; 0 means it never expires
+const TOKEN_EXPIRY_DAYS = [7, 30, 90, 365, 0];
+
+const TOKEN_NAME_MAX_LENGTH = 50;
+
+const MAX_TOKENS_PER_USER = 10;
+
+// Every token starts with this so it is easy to spot in scripts and leaked logs
+const TOKEN_PREFIX = 'efp_';
+
+/**
+ * Tokens are long random strings, so a fast hash is enough to keep them
+ * unusable if the database leaks
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a token for a user. The plaintext token is only ever returned
+ * here. Returns { token, apiToken } or { error }.
+ */
+function createApiToken(userId, name, scopes, expiresInDays) {
+  const tokenName = typeof name === 'string' ? name.trim() : '';
+  if (!tokenName) {
+    return { error: 'Give the token a name so you can tell it apart later' };
+  }
+  if (tokenName.length > TOKEN_NAME_MAX_LENGTH) {
+    return { error: `Token names must be ${TOKEN_NAME_MAX_LENGTH} characters or less` };
+  }
+
+  // Checkboxes arrive as a single value or an array depending on how many are ticked
+  const tokenScopes = SCOPE_NAMES.filter(scope => [].concat(scopes || []).includes(scope));
+  if (tokenScopes.length === 0) {
+    return { error: 'Choose at least one scope' };
+  }
+
+  const days = parseInt(expiresInDays);
+  if (!TOKEN_EXPIRY_DAYS.includes(days)) {
+    return { error: 'Invalid expiry' };
+  }
+
+  const count = db.prepare('SELECT COUNT(*) as count FROM api_tokens WHERE user_id = ?').get(userId).count;
+  if (count >= MAX_TOKENS_PER_USER) {
+    return { error: `You can have up to ${MAX_TOKENS_PER_USER} tokens. Revoke one you no longer use first.` };
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+
+  const result = db.prepare(`
+    INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, CASE WHEN ? > 0 THEN datetime('now', '+' || ? || ' days') END)
+  `).run(userId, tokenName, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), tokenScopes.join(' '), days, days);
+
+  return {
+    token: token,
+    apiToken: getUserApiTokens(userId).find(apiToken => apiToken.id === result.lastInsertRowid)
+  };
+}
+
+/**
+ * A user's tokens for the profile page, newest first. Expired tokens are
+ * still listed until they are revoked.
+ */
+function getUserApiTokens(userId) {
+  return db.prepare(`
+    SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at,
+           expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP AS is_expired
+    FROM api_tokens
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+  `).all(userId).map(row => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: row.scopes.split(' '),
+    expiresAt: row.expires_at,
+    isExpired: !!row.is_expired,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Delete one of a user's tokens. Returns false if they have no such token.
+ */
+function revokeApiToken(userId, tokenId) {
+  const result = db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').run(parseInt(tokenId) || 0, userId);
+  return result.changes > 0;
+}
+
+/**
+ * Look up a presented token and note that it was used.
+ * Returns { id, userId, scopes } or null if it is unknown or expired.
+ */
+function authenticateApiToken(token, ipAddress) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const row = db.prepare(`
+    SELECT id, user_id, scopes FROM api_tokens
+    WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+  `).get(hashToken(token));
+
+  if (!row) {
+    return null;
+  }
+
+  // Only write when something changed or a minute has passed, not on every request
+  db.prepare(`
+    UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+    WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute') OR last_used_ip IS NOT ?)
+  `).run(ipAddress || null, row.id, ipAddress || null);
+
+  return { id: row.id, userId: row.user_id, scopes: row.scopes.split(' ') };
+}
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  TOKEN_EXPIRY_DAYS,
+  TOKEN_NAME_MAX_LENGTH,
+  MAX_TOKENS_PER_USER,
+  createApiToken,
+  getUserApiTokens,
+  revokeApiToken,
+  authenticateApiToken
+};
@@ -1,11 +1,67 @@
 // modules/auth-middleware.js
+const db = require('../database');
+const { authenticateApiToken } = require('./api-tokens');
+const { sendApiError } = require('./api-helpers');
+
+// Each role includes the powers of the roles below it
+const ROLE_LEVELS = {
+  user: 0,
+  moderator: 1,
+  admin: 2
+};
+
+/**
+ * Check whether a role meets a minimum role, e.g. hasRole('admin', 'moderator') is true
+ */
+function hasRole(role, minimumRole) {
+  return (ROLE_LEVELS[role] || 0) >= ROLE_LEVELS[minimumRole];
+}
+
+/**
+ * Middleware that accepts a personal API token sent as
+ * "Authorization: Bearer <token>". A valid token sets req.apiToken and stands
+ * in for the session cookie; a bad one is refused with a 401 rather than
+ * quietly falling back to the cookie. Requests without the header carry on
+ * with the session as before.
+ */
+function bearerAuth(req, res, next) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return next();
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  const apiToken = match ? authenticateApiToken(match[1], req.ip) : null;
+
+  if (!apiToken) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return sendApiError(res, 401, 'invalid_token', 'The API token is invalid, expired or revoked');
+  }
+
+  req.apiToken = apiToken;
+  next();
+}
+
+/**
+ * Middleware factory for requests made with an API token: the token must
+ * carry the scope. Session logins can do everything and always pass.
+ */
+function requireScope(scope) {
+  return function(req, res, next) {
+    if (req.apiToken && !req.apiToken.scopes.includes(scope)) {
+      res.set('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${scope}"`);
+      return sendApiError(res, 403, 'insufficient_scope', `This API token does not have the "${scope}" scope`);
+    }
+    next();
+  };
+}
 
 /**
- * Middleware to check if user is authenticated
+ * Middleware to check if user is authenticated, by session or API token
  * Returns 401 if not authenticated
  */
 function requireAuth(req, res, next) {
-  if (req.session && req.session.userId) {
+  if ((req.session && req.session.userId) || req.apiToken) {
     next();
   } else {
     res.status(401).send(`
@@ -23,6 +79,42 @@ function requireAuth(req, res, next) {
   }
 }
 
+/**
+ * Middleware factory to require at least the given role
+ * Returns 401 if not authenticated and 403 if the role is too low.
+ * The user's role is looked up fresh so demotions apply immediately.
+ */
+function requireRole(minimumRole) {
+  return function(req, res, next) {
+    requireAuth(req, res, () => {
+      const userId = req.apiToken ? req.apiToken.userId : req.session.userId;
+      const user = db.prepare('SELECT role FROM users WHERE id = ?').get(userId);
+
+      if (user && hasRole(user.role, minimumRole)) {
+        req.userRole = user.role;
+        return next();
+      }
+
+      res.status(403).send(`
+        <!DOCTYPE html>
+        <html>
+        <head><title>Access Denied</title></head>
+        <body>
+          <h1>Access Denied</h1>
+          <p>You do not have permission to access this page.</p>
+          <p><a href="/">← Back to Home</a></p>
+        </body>
+        </html>
+      `);
+    });
+  };
+}
+
 module.exports = {
-  requireAuth
+  ROLE_LEVELS,
+  hasRole,
+  bearerAuth,
+  requireScope,
+  requireAuth,
+  requireRole
 };
@@ -0,0 +1,151 @@
+// modules/avatars.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const db = require('../database');
+
+// Uploaded avatars live with the database so they survive container rebuilds
+const AVATAR_DIR = process.env.AVATAR_DIR || path.join(__dirname, '..', 'data', 'avatars');
+
+const MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+// Every upload is re-encoded to a square WebP this many pixels wide
+const AVATAR_SIZE = 256;
+
+// Refuse images that would take a lot of memory to decode (e.g. 20000x20000)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const ALLOWED_TYPES = {
+  'image/png': 'PNG',
+  'image/jpeg': 'JPEG',
+  'image/webp': 'WebP'
+};
+
+fs.mkdirSync(AVATAR_DIR, { recursive: true });
+
+/**
+ * Multer middleware that keeps one uploaded avatar in memory as req.file.
+ * The browser's content type is only a first check; saveAvatarImage looks
+ * at the bytes themselves.
+ */
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AVATAR_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      return cb(new Error('Avatars must be PNG, JPEG or WebP images'));
+    }
+    cb(null, true);
+  }
+}).single('avatarImage');
+
+/**
+ * Middleware reading the avatar form: the image as req.file and the other
+ * fields as req.body. It runs before the CSRF check, which needs the form's
+ * _csrf field, so a bad upload is left in req.avatarUploadError for the route
+ * to explain.
+ */
+function readAvatarUpload(req, res, next) {
+  avatarUpload(req, res, (error) => {
+    req.avatarUploadError = error;
+    next();
+  });
+}
+
+/**
+ * Which of the allowed image types the data really is, from its first bytes,
+ * or null if it is none of them
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * Public URL of an uploaded avatar file, or null
+ */
+function avatarUrl(fileName) {
+  return fileName ? `/avatars/${fileName}` : null;
+}
+
+function deleteAvatarFile(fileName) {
+  if (!fileName) {
+    return;
+  }
+  fs.unlink(path.join(AVATAR_DIR, path.basename(fileName)), (error) => {
+    if (error && error.code !== 'ENOENT') {
+      console.error('Error deleting old avatar:', error);
+    }
+  });
+}
+
+/**
+ * Check an uploaded image, turn it into a square thumbnail and make it the
+ * user's avatar. Returns { avatarUrl } or { error }.
+ */
+async function saveAvatarImage(userId, buffer) {
+  if (!buffer || buffer.length === 0) {
+    return { error: 'Please choose an image to upload' };
+  }
+  if (!detectImageType(buffer)) {
+    return { error: 'That file is not a PNG, JPEG or WebP image' };
+  }
+
+  let thumbnail;
+  try {
+    // Re-encoding drops anything hidden in the original file, including EXIF data
+    thumbnail = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 85 })
+      .toBuffer();
+  } catch (error) {
+    console.error('Error processing avatar image:', error.message);
+    return { error: 'That image could not be read. Please try a different one.' };
+  }
+
+  // A new name for every upload so browsers never show a cached old avatar
+  const fileName = `${userId}-${crypto.randomBytes(8).toString('hex')}.webp`;
+  fs.writeFileSync(path.join(AVATAR_DIR, fileName), thumbnail);
+
+  const previous = db.prepare('SELECT avatar_image FROM users WHERE id = ?').get(userId);
+  db.prepare('UPDATE users SET avatar_image = ? WHERE id = ?').run(fileName, userId);
+  deleteAvatarFile(previous && previous.avatar_image);
+
+  return { avatarUrl: avatarUrl(fileName) };
+}
+
+/**
+ * Go back to the emoji avatar. Returns true if there was an image to remove.
+ */
+function removeAvatarImage(userId) {
+  const user = db.prepare('SELECT avatar_image FROM users WHERE id = ?').get(userId);
+  if (!user || !user.avatar_image) {
+    return false;
+  }
+
+  db.prepare('UPDATE users SET avatar_image = NULL WHERE id = ?').run(userId);
+  deleteAvatarFile(user.avatar_image);
+  return true;
+}
+
+module.exports = {
+  AVATAR_DIR,
+  MAX_AVATAR_BYTES,
+  AVATAR_SIZE,
+  readAvatarUpload,
+  detectImageType,
+  avatarUrl,
+  saveAvatarImage,
+  removeAvatarImage
+};
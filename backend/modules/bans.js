@@ -0,0 +1,123 @@
+// modules/bans.js
+const db = require('../database');
+
+// A suspension ends on its own; a ban lasts until an admin lifts it
+const BAN_TYPES = ['suspension', 'ban'];
+
+const MAX_SUSPENSION_DAYS = 365;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * The suspension or ban currently in force for a user, or null
+ */
+function getActiveBan(userId) {
+  return db.prepare(`
+    SELECT b.*, u.username AS issued_by_username
+    FROM user_bans b
+    LEFT JOIN users u ON b.issued_by = u.id
+    WHERE b.user_id = ?
+      AND b.lifted_at IS NULL
+      AND (b.expires_at IS NULL OR b.expires_at > CURRENT_TIMESTAMP)
+    ORDER BY b.expires_at IS NULL DESC, b.expires_at DESC
+    LIMIT 1
+  `).get(userId) || null;
+}
+
+/**
+ * Every suspension and ban currently in force, for the moderation page
+ */
+function getActiveBans() {
+  return db.prepare(`
+    SELECT b.*, u.username, u.display_name, issuer.username AS issued_by_username
+    FROM user_bans b
+    JOIN users u ON b.user_id = u.id
+    LEFT JOIN users issuer ON b.issued_by = issuer.id
+    WHERE b.lifted_at IS NULL
+      AND (b.expires_at IS NULL OR b.expires_at > CURRENT_TIMESTAMP)
+    ORDER BY b.created_at DESC
+  `).all();
+}
+
+/**
+ * Suspend a user for a number of days, or ban them permanently.
+ * Any earlier restriction is replaced. Returns { user, ban } or { error }.
+ */
+function banUser(username, type, reason, days, issuedBy) {
+  if (!BAN_TYPES.includes(type)) {
+    return { error: 'Invalid ban type' };
+  }
+
+  const banReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!banReason) {
+    return { error: 'A reason is required' };
+  }
+  if (banReason.length > MAX_REASON_LENGTH) {
+    return { error: `Reason must be ${MAX_REASON_LENGTH} characters or less` };
+  }
+
+  const duration = parseInt(days);
+  if (type === 'suspension' && (!duration || duration < 1 || duration > MAX_SUSPENSION_DAYS)) {
+    return { error: `Suspensions last between 1 and ${MAX_SUSPENSION_DAYS} days` };
+  }
+
+  const user = db.prepare('SELECT id, username, role FROM users WHERE username = ?').get(username);
+  if (!user) {
+    return { error: 'No user with that username' };
+  }
+
+  if (user.id === issuedBy) {
+    return { error: 'You cannot ban yourself' };
+  }
+
+  if (user.role === 'admin') {
+    return { error: 'Admins cannot be banned. Change their role first.' };
+  }
+
+  const ban = db.transaction(() => {
+    liftActiveBans(user.id, issuedBy);
+
+    // datetime('now', NULL) is NULL, which makes a ban permanent
+    const result = db.prepare(`
+      INSERT INTO user_bans (user_id, type, reason, expires_at, issued_by)
+      VALUES (?, ?, ?, datetime('now', ?), ?)
+    `).run(user.id, type, banReason, type === 'suspension' ? `+${duration} days` : null, issuedBy);
+
+    return db.prepare('SELECT * FROM user_bans WHERE id = ?').get(result.lastInsertRowid);
+  })();
+
+  return { user, ban };
+}
+
+function liftActiveBans(userId, liftedBy) {
+  return db.prepare(`
+    UPDATE user_bans
+    SET lifted_by = ?, lifted_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND lifted_at IS NULL
+      AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+  `).run(liftedBy, userId);
+}
+
+/**
+ * Lift a user's current suspension or ban early. Returns { user } or { error }.
+ */
+function unbanUser(username, liftedBy) {
+  const user = db.prepare('SELECT id, username FROM users WHERE username = ?').get(username);
+  if (!user) {
+    return { error: 'No user with that username' };
+  }
+
+  if (liftActiveBans(user.id, liftedBy).changes === 0) {
+    return { error: `${user.username} is not suspended or banned` };
+  }
+
+  return { user };
+}
+
+module.exports = {
+  BAN_TYPES,
+  MAX_SUSPENSION_DAYS,
+  getActiveBan,
+  getActiveBans,
+  banUser,
+  unbanUser
+};
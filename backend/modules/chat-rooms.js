@@ -0,0 +1,210 @@
+// modules/chat-rooms.js
+const db = require('../database');
+const { linkMentions } = require('./mentions');
+const { avatarUrl } = require('./avatars');
+
+const MAIN_ROOM_NAME = 'main';
+
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+// Room names look like "study-group": lowercase letters, numbers and dashes
+const ROOM_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,29}$/;
+
+/**
+ * Socket.IO room name for a chat room
+ */
+function socketRoom(roomId) {
+  return `room:${roomId}`;
+}
+
+function getMainRoom() {
+  return db.prepare(`SELECT * FROM chat_rooms WHERE name = ?`).get(MAIN_ROOM_NAME);
+}
+
+function getRoom(roomId) {
+  return db.prepare('SELECT * FROM chat_rooms WHERE id = ?').get(roomId);
+}
+
+function isMember(roomId, userId) {
+  return !!db.prepare('SELECT 1 FROM chat_room_members WHERE room_id = ? AND user_id = ?').get(roomId, userId);
+}
+
+function addMember(roomId, userId) {
+  return db.prepare(`
+    INSERT OR IGNORE INTO chat_room_members (room_id, user_id, last_read_message_id)
+    VALUES (?, ?, (SELECT COALESCE(MAX(id), 0) FROM chat_messages WHERE room_id = ?))
+  `).run(roomId, userId, roomId);
+}
+
+function removeMember(roomId, userId) {
+  return db.prepare('DELETE FROM chat_room_members WHERE room_id = ? AND user_id = ?').run(roomId, userId);
+}
+
+/**
+ * Everyone belongs to the main room
+ */
+function ensureMainRoomMember(userId) {
+  const mainRoom = getMainRoom();
+  addMember(mainRoom.id, userId);
+  return mainRoom;
+}
+
+/**
+ * Rooms the user belongs to with unread counts. Direct messages carry the
+ * other participant's name so they can be listed by person.
+ */
+function getUserRooms(userId) {
+  return db.prepare(`
+    SELECT r.id, r.name, r.type,
+           other.username AS dm_username,
+           other.display_name AS dm_display_name,
+           (SELECT COUNT(*) FROM chat_messages m
+            WHERE m.room_id = r.id AND m.id > mem.last_read_message_id AND m.user_id != mem.user_id) AS unread_count
+    FROM chat_room_members mem
+    JOIN chat_rooms r ON r.id = mem.room_id
+    LEFT JOIN chat_room_members om ON r.type = 'direct' AND om.room_id = r.id AND om.user_id != mem.user_id
+    LEFT JOIN users other ON other.id = om.user_id
+    WHERE mem.user_id = ?
+    ORDER BY r.type DESC, r.name = ? DESC, COALESCE(r.name, other.display_name) COLLATE NOCASE
+  `).all(userId, MAIN_ROOM_NAME);
+}
+
+function getUserRoomIds(userId) {
+  return db.prepare('SELECT room_id FROM chat_room_members WHERE user_id = ?').all(userId).map(row => row.room_id);
+}
+
+/**
+ * Public rooms the user has not joined yet
+ */
+function getJoinableRooms(userId) {
+  return db.prepare(`
+    SELECT r.id, r.name,
+           (SELECT COUNT(*) FROM chat_room_members WHERE room_id = r.id) AS member_count
+    FROM chat_rooms r
+    WHERE r.type = 'public'
+      AND NOT EXISTS (SELECT 1 FROM chat_room_members WHERE room_id = r.id AND user_id = ?)
+    ORDER BY r.name
+  `).all(userId);
+}
+
+/**
+ * Create a public room. Returns { room } or { error }.
+ */
+function createRoom(name, userId) {
+  const roomName = (name || '').trim().toLowerCase();
+
+  if (!ROOM_NAME_PATTERN.test(roomName)) {
+    return { error: 'Room names must be 2-30 characters: lowercase letters, numbers and dashes' };
+  }
+
+  if (db.prepare('SELECT id FROM chat_rooms WHERE name = ?').get(roomName)) {
+    return { error: 'A room with that name already exists' };
+  }
+
+  const room = db.transaction(() => {
+    const result = db.prepare(`
+      INSERT INTO chat_rooms (name, type, created_by) VALUES (?, 'public', ?)
+    `).run(roomName, userId);
+    addMember(result.lastInsertRowid, userId);
+    return getRoom(result.lastInsertRowid);
+  })();
+
+  return { room };
+}
+
+/**
+ * Find or create the direct message room between two users
+ */
+function getOrCreateDirectRoom(userId, otherUserId) {
+  const dmKey = [userId, otherUserId].sort((a, b) => a - b).join(':');
+
+  return db.transaction(() => {
+    let room = db.prepare('SELECT * FROM chat_rooms WHERE dm_key = ?').get(dmKey);
+    let created = false;
+
+    if (!room) {
+      const result = db.prepare(`
+        INSERT INTO chat_rooms (type, dm_key, created_by) VALUES ('direct', ?, ?)
+      `).run(dmKey, userId);
+      room = getRoom(result.lastInsertRowid);
+      created = true;
+    }
+
+    // Both people are (re)added in case either had left
+    addMember(room.id, userId);
+    addMember(room.id, otherUserId);
+
+    return { room, created };
+  })();
+}
+
+/**
+ * A page of messages from a room, oldest first. Pass the id of the oldest
+ * message already shown as beforeId to get the page before it. Messages
+ * hidden by moderators are left out unless includeHidden is set.
+ * Returns { messages, hasMore }.
+ */
+function getRoomMessages(roomId, beforeId = null, limit = HISTORY_PAGE_SIZE, includeHidden = false) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+  const cursor = beforeId
+    ? db.prepare('SELECT id, created_at FROM chat_messages WHERE id = ? AND room_id = ?').get(beforeId, roomId)
+    : null;
+
+  if (beforeId && !cursor) {
+    return { messages: [], hasMore: false };
+  }
+
+  // Fetch one extra row to find out whether there is another page
+  const rows = db.prepare(`
+    SELECT cm.*, u.display_name, u.username, u.profile_color, u.profile_avatar, u.avatar_image
+    FROM chat_messages cm
+    JOIN users u ON cm.user_id = u.id
+    WHERE cm.room_id = ?
+      ${includeHidden ? '' : 'AND cm.is_hidden = 0'}
+      ${cursor ? 'AND (cm.created_at, cm.id) < (?, ?)' : ''}
+    ORDER BY cm.created_at DESC, cm.id DESC
+    LIMIT ?
+  `).all(...(cursor ? [roomId, cursor.created_at, cursor.id] : [roomId]), pageSize + 1);
+
+  // Chat shows @mentions as links and uploaded avatars as images, worked out
+  // here so live and older messages match
+  rows.forEach(row => {
+    row.message_html = linkMentions(row.message);
+    row.avatar_url = avatarUrl(row.avatar_image);
+  });
+
+  return {
+    messages: rows.slice(0, pageSize).reverse(),
+    hasMore: rows.length > pageSize
+  };
+}
+
+/**
+ * Mark every message in a room as read for a member
+ */
+function markRoomRead(roomId, userId) {
+  return db.prepare(`
+    UPDATE chat_room_members
+    SET last_read_message_id = (SELECT COALESCE(MAX(id), 0) FROM chat_messages WHERE room_id = ?)
+    WHERE room_id = ? AND user_id = ?
+  `).run(roomId, roomId, userId);
+}
+
+module.exports = {
+  MAIN_ROOM_NAME,
+  socketRoom,
+  getMainRoom,
+  getRoom,
+  isMember,
+  addMember,
+  removeMember,
+  ensureMainRoomMember,
+  getUserRooms,
+  getUserRoomIds,
+  getJoinableRooms,
+  createRoom,
+  getOrCreateDirectRoom,
+  getRoomMessages,
+  markRoomRead
+};
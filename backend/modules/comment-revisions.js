@@ -0,0 +1,50 @@
+// modules/comment-revisions.js
+const db = require('../database');
+const { diffWords } = require('./word-diff');
+
+/**
+ * Keep a comment's current text before it is edited or deleted.
+ * Pass the comment row as it is before the change.
+ */
+function saveRevision(comment, editorId) {
+  return db.prepare(`
+    INSERT INTO comment_revisions (comment_id, editor_id, text, written_at)
+    VALUES (?, ?, ?, ?)
+  `).run(comment.id, editorId, comment.text, comment.updated_at || comment.created_at);
+}
+
+/**
+ * Every version of a comment, newest first. Each version carries a
+ * word-level diff against the one before it; the oldest has none.
+ */
+function getCommentHistory(comment) {
+  const revisions = db.prepare(`
+    SELECT text, written_at
+    FROM comment_revisions
+    WHERE comment_id = ?
+    ORDER BY id ASC
+  `).all(comment.id);
+
+  const texts = revisions.map(revision => ({ text: revision.text, writtenAt: revision.written_at }));
+
+  // A soft-deleted comment's last text is already its newest revision
+  if (!comment.is_deleted) {
+    texts.push({ text: comment.text, writtenAt: comment.updated_at || comment.created_at });
+  }
+
+  const versions = texts.map((version, index) => ({
+    number: index + 1,
+    text: version.text,
+    writtenAt: version.writtenAt,
+    isOriginal: index === 0,
+    isCurrent: !comment.is_deleted && index === texts.length - 1,
+    diff: index > 0 ? diffWords(texts[index - 1].text, version.text) : null
+  }));
+
+  return versions.reverse();
+}
+
+module.exports = {
+  saveRevision,
+  getCommentHistory
+};
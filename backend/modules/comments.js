@@ -0,0 +1,122 @@
+// modules/comments.js
+const db = require('../database');
+const { logModeratorAction } = require('./moderation');
+const { saveRevision } = require('./comment-revisions');
+const { createNotification } = require('./notifications');
+const { notifyMentions } = require('./mentions');
+
+/**
+ * Post a comment, or a reply when parent ({ id, user_id }) is given, and
+ * notify the parent's author and anyone mentioned. Returns the new comment's id.
+ */
+function addComment(io, user, text, parent = null) {
+  const result = db.prepare(`
+    INSERT INTO comments (user_id, text, parent_id, created_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(user.id, text, parent ? parent.id : null);
+
+  const commentId = result.lastInsertRowid;
+  const url = `/comments/goto/${commentId}`;
+
+  // Let the author of the parent comment know, unless they replied to themselves
+  let replyNotified = null;
+  if (parent && parent.user_id !== user.id) {
+    replyNotified = createNotification(io, parent.user_id, 'reply', `${user.displayName || user.username} replied to your comment`, {
+      actorId: user.id,
+      url: url
+    });
+  }
+
+  // A reply notification already covers the parent's author
+  notifyMentions(io, user, text, {
+    where: parent ? 'a reply' : 'a comment',
+    url: url,
+    skipUserIds: replyNotified ? [parent.user_id] : []
+  });
+
+  return commentId;
+}
+
+/**
+ * Replace a comment's text, keeping the old text as a revision. Only people
+ * added to the comment by this edit are notified. Returns false if the text
+ * did not change.
+ */
+function editComment(io, user, comment, newText) {
+  // Nothing to record if the text didn't change
+  if (newText === comment.text) {
+    return false;
+  }
+
+  db.transaction(() => {
+    saveRevision(comment, user.id);
+    db.prepare(`
+      UPDATE comments
+      SET text = ?, is_edited = 1, edit_count = edit_count + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(newText, comment.id);
+  })();
+
+  notifyMentions(io, user, newText, {
+    where: 'a comment',
+    url: `/comments/goto/${comment.id}`,
+    previousText: comment.text
+  });
+
+  return true;
+}
+
+// Replies still shown beneath a comment
+function countShownReplies(commentId) {
+  return db.prepare('SELECT COUNT(*) as count FROM comments WHERE parent_id = ? AND is_pruned = 0').get(commentId).count;
+}
+
+/**
+ * Stop showing deleted placeholders that no longer have any replies to hold
+ * in place. The rows are kept, with their revisions, for moderators.
+ */
+function pruneDeletedAncestors(parentId) {
+  while (parentId) {
+    const parent = db.prepare('SELECT id, parent_id, is_deleted FROM comments WHERE id = ?').get(parentId);
+    if (!parent || !parent.is_deleted || countShownReplies(parent.id) > 0) {
+      return;
+    }
+
+    db.prepare('UPDATE comments SET is_pruned = 1 WHERE id = ?').run(parent.id);
+    parentId = parent.parent_id;
+  }
+}
+
+/**
+ * Delete a comment. Its text is blanked and kept as a revision moderators
+ * can still read. Comments with replies become a "[deleted]" placeholder so
+ * the thread stays intact; the rest are no longer shown. Deleting someone
+ * else's comment is logged as a moderator action.
+ */
+function deleteComment(user, comment) {
+  const hasReplies = countShownReplies(comment.id) > 0;
+
+  db.transaction(() => {
+    saveRevision(comment, user.id);
+    db.prepare(`
+      UPDATE comments
+      SET is_deleted = 1, is_pruned = ?, text = '', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(hasReplies ? 0 : 1, comment.id);
+
+    if (!hasReplies) {
+      pruneDeletedAncestors(comment.parent_id);
+    }
+
+    if (comment.user_id !== user.id) {
+      logModeratorAction(user.id, 'delete_comment', 'comment', comment.id, `author ${comment.user_id}`);
+    }
+  })();
+}
+
+module.exports = {
+  addComment,
+  editComment,
+  deleteComment,
+  pruneDeletedAncestors
+};
@@ -0,0 +1,76 @@
+// modules/csrf.js
+const crypto = require('crypto');
+const { getCurrentUser } = require('./current-user');
+const { sendApiError } = require('./api-helpers');
+
+// Methods that only read, so they never need a token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * The session's CSRF token, created the first time a page asks for it
+ */
+function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+// Compare in constant time so a guess can't be worked out character by character
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string' || expected.length !== actual.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+/**
+ * The token a request sent back: the X-CSRF-Token header from fetch calls,
+ * or the hidden _csrf field from a form
+ */
+function submittedToken(req) {
+  if (req.get('X-CSRF-Token')) {
+    return req.get('X-CSRF-Token');
+  }
+  if (req.body && req.body._csrf) {
+    return req.body._csrf;
+  }
+  return undefined;
+}
+
+/**
+ * Middleware: a request that changes anything must send back the session's
+ * token, which another site has no way to read. Requests made with a personal
+ * API token don't rely on the cookie, so they are exempt.
+ * Pages get the token as csrfToken.
+ */
+function csrfProtection(req, res, next) {
+  // A function, so the token (and a session) is only created for pages that have a form
+  res.locals.csrfToken = () => getCsrfToken(req);
+
+  if (SAFE_METHODS.includes(req.method) || req.apiToken) {
+    return next();
+  }
+
+  if (tokensMatch(req.session.csrfToken, submittedToken(req))) {
+    return next();
+  }
+
+  console.warn(`CSRF token mismatch: ${req.method} ${req.originalUrl} from ${req.ip}`);
+
+  if (req.path.startsWith('/api/v1/')) {
+    return sendApiError(res, 403, 'csrf_failed', 'Send the token from GET /api/v1/csrf-token in an X-CSRF-Token header');
+  }
+
+  // Forms get a page to read; fetch calls get JSON their handlers already understand
+  if (req.is('application/x-www-form-urlencoded', 'multipart/form-data')) {
+    return res.status(403).render('csrf-error', { user: getCurrentUser(req) });
+  }
+
+  res.status(403).json({ success: false, message: 'This page is out of date. Reload it and try again.' });
+}
+
+module.exports = {
+  getCsrfToken,
+  csrfProtection
+};
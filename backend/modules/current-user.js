@@ -0,0 +1,65 @@
+// modules/current-user.js
+const db = require('../database');
+const { hasRole } = require('./auth-middleware');
+const { getActiveBan } = require('./bans');
+const { countUnread } = require('./notifications');
+const { avatarUrl } = require('./avatars');
+
+function guestUser() {
+  return {
+    name: "Guest",
+    displayName: "Guest", 
+    msg: "Welcome! Please login or register.",
+    loggedIn: false
+  };
+}
+
+/**
+ * Get the logged-in user for a request, or a guest placeholder.
+ * API requests made with a personal token are that token's user.
+ * Suspended and banned users are treated as guests, with the ban attached.
+ */
+function getCurrentUser(req) {
+  const userId = req.apiToken ? req.apiToken.userId : (req.session && req.session.userId);
+
+  if (userId) {
+    const user = db.prepare(`
+      SELECT id, username, display_name, email, email_verified, pending_email, totp_enabled, allow_pokes, poke_emails, profile_color, profile_avatar, avatar_image, bio, role 
+      FROM users WHERE id = ?
+    `).get(userId);
+
+    if (user) {
+      const ban = getActiveBan(user.id);
+      if (ban) {
+        return Object.assign(guestUser(), { ban: ban });
+      }
+
+      return {
+        id: user.id,
+        username: user.username,
+        displayName: user.display_name,
+        email: user.email,
+        emailVerified: !!user.email_verified,
+        pendingEmail: user.pending_email,
+        twoFactorEnabled: !!user.totp_enabled,
+        allowPokes: !!user.allow_pokes,
+        pokeEmails: !!user.poke_emails,
+        profileColor: user.profile_color,
+        profileAvatar: user.profile_avatar,
+        avatarUrl: avatarUrl(user.avatar_image),
+        bio: user.bio,
+        role: user.role,
+        isModerator: hasRole(user.role, 'moderator'),
+        isAdmin: hasRole(user.role, 'admin'),
+        unreadNotifications: countUnread(user.id),
+        loggedIn: true
+      };
+    }
+  }
+
+  return guestUser();
+}
+
+module.exports = {
+  getCurrentUser
+};
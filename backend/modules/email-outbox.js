@@ -0,0 +1,197 @@
+// modules/email-outbox.js
+const db = require('../database');
+const { transporter, MAIL_FROM } = require('./mail-transport');
+
+// A message that keeps failing is given up on ("dead") after this many tries
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5;
+
+// Retries wait 30s, 1m, 2m, 4m... up to an hour
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 60 * 60 * 1000;
+
+// At most this many messages go to one address per hour; the rest wait their turn
+const RECIPIENT_HOURLY_LIMIT = parseInt(process.env.MAIL_RECIPIENT_HOURLY_LIMIT) || 5;
+const RATE_WINDOW = 60 * 60 * 1000;
+
+const POLL_INTERVAL = 5 * 1000;
+const BATCH_SIZE = 10;
+
+let workerTimer = null;
+let processing = false;
+
+// SQLite DATETIME text for a moment in time, comparable with CURRENT_TIMESTAMP
+function toSqlTime(time) {
+  return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Add a rendered message to the outbox. The worker sends it shortly after.
+ * Returns { success, id }.
+ */
+function queueEmail(recipient, subject, content, description = 'Email') {
+  const result = db.prepare(`
+    INSERT INTO email_outbox (recipient, subject, html, text, description)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(recipient, subject, content.html, content.text, description);
+
+  // Send straight away rather than waiting for the next poll
+  if (workerTimer) {
+    setImmediate(processOutbox);
+  }
+
+  return { success: true, id: result.lastInsertRowid };
+}
+
+// When the next message to this address fits under the hourly limit, or null if it fits now
+function nextAllowedSend(recipient) {
+  const sent = db.prepare(`
+    SELECT sent_at FROM email_outbox
+    WHERE recipient = ? AND status = 'sent' AND sent_at > ?
+    ORDER BY sent_at ASC
+  `).all(recipient, toSqlTime(Date.now() - RATE_WINDOW));
+
+  if (sent.length < RECIPIENT_HOURLY_LIMIT) {
+    return null;
+  }
+
+  // Wait until enough of the sends in the window have aged out of it
+  const oldest = sent[sent.length - RECIPIENT_HOURLY_LIMIT];
+  return new Date(oldest.sent_at.replace(' ', 'T') + 'Z').getTime() + RATE_WINDOW;
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY);
+}
+
+async function deliver(message) {
+  const allowedAt = nextAllowedSend(message.recipient);
+  if (allowedAt) {
+    db.prepare(`UPDATE email_outbox SET next_attempt_at = ? WHERE id = ?`).run(toSqlTime(allowedAt), message.id);
+    return;
+  }
+
+  db.prepare(`UPDATE email_outbox SET status = 'sending' WHERE id = ?`).run(message.id);
+  const attempts = message.attempts + 1;
+
+  try {
+    const result = await transporter.sendMail({
+      from: MAIL_FROM,
+      to: message.recipient,
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+
+    db.prepare(`
+      UPDATE email_outbox
+      SET status = 'sent', attempts = ?, last_error = NULL, sent_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(attempts, message.id);
+    console.log(`${message.description} sent successfully:`, result.messageId);
+  } catch (error) {
+    const dead = attempts >= MAX_ATTEMPTS;
+
+    db.prepare(`
+      UPDATE email_outbox
+      SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+      WHERE id = ?
+    `).run(dead ? 'dead' : 'pending', attempts, error.message, toSqlTime(Date.now() + retryDelay(attempts)), message.id);
+
+    if (dead) {
+      console.error(`Giving up on ${message.description.toLowerCase()} #${message.id} after ${attempts} attempts:`, error.message);
+    } else {
+      console.error(`Error sending ${message.description.toLowerCase()} #${message.id} (attempt ${attempts}):`, error.message);
+    }
+  }
+}
+
+/**
+ * Send every queued message that is due. Runs one batch at a time.
+ */
+async function processOutbox() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    let due;
+    do {
+      due = db.prepare(`
+        SELECT * FROM email_outbox
+        WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT ?
+      `).all(BATCH_SIZE);
+
+      for (const message of due) {
+        await deliver(message);
+      }
+    } while (due.length > 0);
+  } catch (error) {
+    console.error('Email outbox error:', error);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Start sending queued mail in the background of this process
+ */
+function startOutboxWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  // Messages caught mid-send by a restart are tried again
+  db.prepare(`UPDATE email_outbox SET status = 'pending' WHERE status = 'sending'`).run();
+
+  workerTimer = setInterval(processOutbox, POLL_INTERVAL);
+  workerTimer.unref();
+  processOutbox();
+  console.log('Email outbox worker started');
+}
+
+/**
+ * Put a dead message back in the queue with a fresh set of attempts.
+ * Returns true if there was a dead message with that id.
+ */
+function retryEmail(id) {
+  const result = db.prepare(`
+    UPDATE email_outbox
+    SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'dead'
+  `).run(id);
+
+  if (result.changes > 0 && workerTimer) {
+    setImmediate(processOutbox);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Message counts by status, plus the most recent dead messages
+ */
+function getOutboxSummary() {
+  const counts = { pending: 0, sending: 0, sent: 0, dead: 0 };
+  db.prepare('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status').all()
+    .forEach(row => { counts[row.status] = row.count; });
+
+  const dead = db.prepare(`
+    SELECT id, recipient, subject, attempts, last_error, created_at
+    FROM email_outbox WHERE status = 'dead'
+    ORDER BY id DESC LIMIT 20
+  `).all();
+
+  return { counts, dead };
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  RECIPIENT_HOURLY_LIMIT,
+  queueEmail,
+  processOutbox,
+  startOutboxWorker,
+  retryEmail,
+  getOutboxSummary
+};
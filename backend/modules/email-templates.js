@@ -0,0 +1,53 @@
+// modules/email-templates.js
+const fs = require('fs');
+const path = require('path');
+const hbs = require('hbs');
+
+// Templates live next to the page views: <name>.hbs is the HTML version and
+// <name>.txt.hbs the plain text one. Both are wrapped in a shared layout.
+const TEMPLATE_DIR = path.join(process.env.VIEWS_DIR || path.join(__dirname, '..', 'views'), 'emails');
+
+// A separate Handlebars instance, so the page partials and helpers stay out of emails
+const handlebars = hbs.create().handlebars;
+
+// In development templates are read fresh each time so edits show up in the preview
+const CACHE_TEMPLATES = process.env.NODE_ENV === 'production';
+const compiled = {};
+
+// Compile a template file; text templates are not HTML-escaped
+function getTemplate(fileName) {
+  if (!compiled[fileName] || !CACHE_TEMPLATES) {
+    const source = fs.readFileSync(path.join(TEMPLATE_DIR, fileName), 'utf8');
+    compiled[fileName] = handlebars.compile(source, { noEscape: fileName.endsWith('.txt.hbs') });
+  }
+  return compiled[fileName];
+}
+
+/**
+ * Render an email template with its layout.
+ * Returns { html, text } ready to hand to nodemailer.
+ */
+function renderEmail(name, data) {
+  const html = getTemplate(`${name}.hbs`)(data);
+  const text = getTemplate(`${name}.txt.hbs`)(data);
+
+  return {
+    html: getTemplate('layout.hbs')(Object.assign({}, data, { body: html })),
+    text: getTemplate('layout.txt.hbs')(Object.assign({}, data, { body: text.trim() })).trim() + '\n'
+  };
+}
+
+/**
+ * Names of every email template, for the preview page
+ */
+function listEmailTemplates() {
+  return fs.readdirSync(TEMPLATE_DIR)
+    .filter(file => file.endsWith('.hbs') && !file.endsWith('.txt.hbs') && file !== 'layout.hbs')
+    .map(file => file.replace(/\.hbs$/, ''))
+    .sort();
+}
+
+module.exports = {
+  renderEmail,
+  listEmailTemplates
+};
@@ -0,0 +1,124 @@
+// modules/email-verification.js
+const crypto = require('crypto');
+const db = require('../database');
+const { sendVerificationEmail, sendEmailChangeNotice } = require('./sendEmail');
+
+const TOKEN_LIFETIME_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const TOKEN_SECRET = process.env.EMAIL_TOKEN_SECRET || process.env.SESSION_SECRET || 'your-secret-key-change-in-production';
+
+function sign(payload) {
+  return crypto.createHmac('sha256', TOKEN_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * A signed token saying "user X may confirm address Y until Z".
+ * Nothing is stored; the signature is what makes it trustworthy.
+ */
+function createVerificationToken(userId, email, expiresAt) {
+  const payload = Buffer.from(JSON.stringify({ uid: userId, email: email, exp: expiresAt.getTime() })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check a token's signature and expiry. Returns { userId, email } or { error }
+ * where error is 'invalid' or 'expired'.
+ */
+function readVerificationToken(token) {
+  const [payload, signature] = (typeof token === 'string' ? token : '').split('.');
+  if (!payload || !signature) {
+    return { error: 'invalid' };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { error: 'invalid' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'invalid' };
+  }
+
+  if (!data.uid || !data.email || !data.exp) {
+    return { error: 'invalid' };
+  }
+
+  if (Date.now() > data.exp) {
+    return { error: 'expired' };
+  }
+
+  return { userId: data.uid, email: data.email };
+}
+
+/**
+ * Email a confirmation link for an address. isChange marks a new address
+ * for an existing account rather than a new registration.
+ */
+async function sendVerificationLink(userId, email, isChange = false) {
+  const expiresAt = new Date(Date.now() + TOKEN_LIFETIME_MS);
+  const token = createVerificationToken(userId, email, expiresAt);
+  return sendVerificationEmail(email, token, expiresAt, isChange);
+}
+
+/**
+ * Start changing a user's email: the new address is kept as pending until
+ * it is confirmed, and the current address is told about the change.
+ */
+async function requestEmailChange(user, newEmail) {
+  db.prepare('UPDATE users SET pending_email = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(newEmail, user.id);
+
+  const result = await sendVerificationLink(user.id, newEmail, true);
+  await sendEmailChangeNotice(user.email, newEmail, user.display_name || user.username);
+  return result;
+}
+
+/**
+ * Apply a confirmation link. Confirms the account's current address, or
+ * switches to the pending address it was sent to.
+ * Returns { email, changed } or { error }.
+ */
+function confirmEmail(token) {
+  const data = readVerificationToken(token);
+  if (data.error) {
+    return { error: data.error };
+  }
+
+  const user = db.prepare('SELECT id, email, email_verified, pending_email FROM users WHERE id = ?').get(data.userId);
+  if (!user) {
+    return { error: 'invalid' };
+  }
+
+  if (user.email === data.email) {
+    db.prepare('UPDATE users SET email_verified = 1 WHERE id = ?').run(user.id);
+    return { email: user.email, changed: false };
+  }
+
+  // Links for an address the user has since replaced or cancelled no longer apply
+  if (user.pending_email !== data.email) {
+    return { error: 'invalid' };
+  }
+
+  if (db.prepare('SELECT id FROM users WHERE email = ? AND id != ?').get(data.email, user.id)) {
+    return { error: 'taken' };
+  }
+
+  db.prepare(`
+    UPDATE users
+    SET email = ?, pending_email = NULL, email_verified = 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(data.email, user.id);
+
+  return { email: data.email, changed: true };
+}
+
+module.exports = {
+  createVerificationToken,
+  readVerificationToken,
+  sendVerificationLink,
+  requestEmailChange,
+  confirmEmail
+};
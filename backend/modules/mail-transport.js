@@ -0,0 +1,84 @@
+// modules/mail-transport.js
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+// Which backend sends mail: 'gmail' (default), 'smtp', or 'json' to write each
+// message to a file instead of sending it (for development and tests)
+const MAIL_TRANSPORT = (process.env.MAIL_TRANSPORT || 'gmail').toLowerCase();
+
+const MAIL_OUTPUT_DIR = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '..', 'data', 'mail');
+
+const MAIL_FROM = process.env.MAIL_FROM || process.env.GMAIL_USER || process.env.EMAIL_USER || 'your-email@gmail.com';
+
+// Where links in emails point, without a trailing slash
+const BASE_URL = (process.env.APP_BASE_URL || 'https://goob.site').replace(/\/+$/, '');
+
+/**
+ * Absolute URL for a path on the site, for links in emails
+ */
+function siteUrl(pathname) {
+  return BASE_URL + pathname;
+}
+
+// Writes every message as a JSON file in MAIL_OUTPUT_DIR
+function createFileTransport(outputDir) {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    async sendMail(mailOptions) {
+      const info = await jsonTransport.sendMail(mailOptions);
+      fs.mkdirSync(outputDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.@-]/g, '')}.json`;
+      fs.writeFileSync(path.join(outputDir, fileName), info.message);
+
+      return info;
+    },
+
+    async verify() {
+      fs.mkdirSync(outputDir, { recursive: true });
+      return true;
+    }
+  };
+}
+
+function createTransport() {
+  if (MAIL_TRANSPORT === 'json') {
+    console.log(`Email: writing messages to ${MAIL_OUTPUT_DIR}`);
+    return createFileTransport(MAIL_OUTPUT_DIR);
+  }
+
+  if (MAIL_TRANSPORT === 'smtp') {
+    const user = process.env.SMTP_USER;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // true for port 465
+      auth: user ? { user: user, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  if (MAIL_TRANSPORT !== 'gmail') {
+    console.warn(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}", using gmail`);
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.GMAIL_USER || process.env.EMAIL_USER || 'your-email@gmail.com',
+      pass: process.env.GMAIL_APP_PASSWORD || process.env.EMAIL_PASS || 'your-app-password'
+    }
+  });
+}
+
+const transporter = createTransport();
+
+module.exports = {
+  MAIL_TRANSPORT,
+  MAIL_OUTPUT_DIR,
+  MAIL_FROM,
+  BASE_URL,
+  siteUrl,
+  transporter
+};
@@ -0,0 +1,131 @@
+// modules/mentions.js
+const db = require('../database');
+const { createNotification } = require('./notifications');
+const { avatarUrl } = require('./avatars');
+
+// @username, not part of an email address or another word. Usernames may hold
+// dots and dashes, but not at the end so "@bob." still means bob.
+const MENTION_PATTERN = /(^|[^\w@.])@([A-Za-z0-9_](?:[A-Za-z0-9_.-]{0,48}[A-Za-z0-9_])?)/g;
+
+// Only the first few names in one message notify anyone
+const MAX_MENTIONS = 10;
+
+const SUGGESTION_LIMIT = 8;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Usernames written as @username in the text, in order and without repeats
+ */
+function parseMentions(text) {
+  const names = [];
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    if (!names.includes(match[2])) {
+      names.push(match[2]);
+    }
+  }
+  return names;
+}
+
+/**
+ * The mentioned users that actually exist: [{ id, username }]
+ */
+function findMentionedUsers(text) {
+  const names = parseMentions(text).slice(0, MAX_MENTIONS);
+  if (names.length === 0) {
+    return [];
+  }
+
+  return db.prepare(`SELECT id, username FROM users WHERE username IN (${names.map(() => '?').join(', ')})`).all(...names);
+}
+
+/**
+ * HTML-escape the text and turn each @username of a real user into a link
+ * to their profile page
+ */
+function linkMentions(text) {
+  const known = new Set(findMentionedUsers(text).map(user => user.username));
+
+  // Split around the mentions so only plain text between them is escaped once
+  let html = '';
+  let last = 0;
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    const name = match[2];
+    const start = match.index + match[1].length;
+    if (!known.has(name)) {
+      continue;
+    }
+    html += escapeHtml(text.slice(last, start));
+    html += `<a href="/users/${encodeURIComponent(name)}" class="mention">@${escapeHtml(name)}</a>`;
+    last = start + name.length + 1;
+  }
+  return html + escapeHtml((text || '').slice(last));
+}
+
+/**
+ * Notify everyone newly mentioned in a comment or chat message.
+ * where describes the place, e.g. "a comment"; previousText is the text
+ * before an edit, whose mentions were already notified. canSee filters out
+ * users who can't open the link (e.g. people outside a private room).
+ * Returns the ids of the users notified.
+ */
+function notifyMentions(io, author, text, { where, url, previousText = '', skipUserIds = [], canSee = () => true }) {
+  const alreadyMentioned = parseMentions(previousText);
+  const authorName = author.displayName || author.display_name || author.username;
+
+  const notified = [];
+  findMentionedUsers(text).forEach(mentioned => {
+    if (mentioned.id === author.id || alreadyMentioned.includes(mentioned.username) ||
+        skipUserIds.includes(mentioned.id) || !canSee(mentioned.id)) {
+      return;
+    }
+
+    createNotification(io, mentioned.id, 'mention', `${authorName} mentioned you in ${where}`, {
+      actorId: author.id,
+      url: url
+    });
+    notified.push(mentioned.id);
+  });
+  return notified;
+}
+
+/**
+ * Users whose username or display name starts with what was typed after @,
+ * for the mention picker. Exact username prefixes come first.
+ */
+function suggestUsers(query) {
+  const prefix = (query || '').replace(/^@/, '').trim();
+  if (!prefix) {
+    return [];
+  }
+
+  const pattern = prefix.replace(/[\\%_]/g, '\\$&') + '%';
+  return db.prepare(`
+    SELECT username, display_name, profile_avatar, avatar_image
+    FROM users
+    WHERE username LIKE ? ESCAPE '\\' OR display_name LIKE ? ESCAPE '\\'
+    ORDER BY (username LIKE ? ESCAPE '\\') DESC, username
+    LIMIT ?
+  `).all(pattern, pattern, pattern, SUGGESTION_LIMIT).map(user => ({
+    username: user.username,
+    displayName: user.display_name || user.username,
+    avatar: user.profile_avatar || '👤',
+    avatarUrl: avatarUrl(user.avatar_image)
+  }));
+}
+
+module.exports = {
+  MAX_MENTIONS,
+  parseMentions,
+  findMentionedUsers,
+  linkMentions,
+  notifyMentions,
+  suggestUsers
+};
@@ -0,0 +1,188 @@
+// modules/moderation.js
+const db = require('../database');
+const { ROLE_LEVELS } = require('./auth-middleware');
+const { socketRoom } = require('./chat-rooms');
+
+/**
+ * Record a moderator action in the audit log
+ */
+function logModeratorAction(moderatorId, action, targetType, targetId, details = null) {
+  return db.prepare(`
+    INSERT INTO moderation_log (moderator_id, action, target_type, target_id, details)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(moderatorId, action, targetType, targetId, details);
+}
+
+/**
+ * Most recent moderator actions, newest first
+ */
+function getRecentActions(limit = 50) {
+  return db.prepare(`
+    SELECT ml.*, u.username AS moderator_username, u.display_name AS moderator_display_name
+    FROM moderation_log ml
+    LEFT JOIN users u ON ml.moderator_id = u.id
+    ORDER BY ml.created_at DESC, ml.id DESC
+    LIMIT ?
+  `).all(limit);
+}
+
+/**
+ * Check whether a comment sits in a locked thread (it or any ancestor is locked)
+ */
+function isThreadLocked(commentId) {
+  const locked = db.prepare(`
+    WITH RECURSIVE ancestors(id, parent_id, is_locked) AS (
+      SELECT id, parent_id, is_locked FROM comments WHERE id = ?
+      UNION ALL
+      SELECT c.id, c.parent_id, c.is_locked FROM comments c JOIN ancestors a ON c.id = a.parent_id
+    )
+    SELECT 1 FROM ancestors WHERE is_locked = 1 LIMIT 1
+  `).get(commentId);
+
+  return !!locked;
+}
+
+function setCommentHidden(commentId, hidden) {
+  return db.prepare('UPDATE comments SET is_hidden = ? WHERE id = ?').run(hidden ? 1 : 0, commentId);
+}
+
+function setCommentLocked(commentId, locked) {
+  return db.prepare('UPDATE comments SET is_locked = ? WHERE id = ?').run(locked ? 1 : 0, commentId);
+}
+
+function setChatMessageHidden(messageId, hidden) {
+  return db.prepare('UPDATE chat_messages SET is_hidden = ? WHERE id = ?').run(hidden ? 1 : 0, messageId);
+}
+
+function deleteChatMessage(messageId) {
+  return db.prepare('DELETE FROM chat_messages WHERE id = ?').run(messageId);
+}
+
+/**
+ * Hide, unhide or delete a chat message, log it and tell the room.
+ * Returns { message } or { error }.
+ */
+function moderateChatMessage(io, moderatorId, messageId, action) {
+  const message = db.prepare('SELECT id, room_id, user_id FROM chat_messages WHERE id = ?').get(messageId);
+  if (!message) {
+    return { error: 'Message not found' };
+  }
+
+  if (action === 'hide') {
+    setChatMessageHidden(message.id, true);
+  } else if (action === 'unhide') {
+    setChatMessageHidden(message.id, false);
+  } else if (action === 'delete') {
+    deleteChatMessage(message.id);
+  } else {
+    return { error: 'Invalid action' };
+  }
+
+  logModeratorAction(moderatorId, `${action}_chat_message`, 'chat', message.id, `room ${message.room_id}, author ${message.user_id}`);
+
+  // Unhidden messages reappear on reload; hidden and deleted ones vanish live
+  if (io && action !== 'unhide') {
+    io.to(socketRoom(message.room_id)).emit(action === 'hide' ? 'message-hidden' : 'message-removed', {
+      id: message.id,
+      roomId: message.room_id
+    });
+  }
+
+  return { message };
+}
+
+/**
+ * Open reports grouped by the reported item, most reported first, with a
+ * preview of the reported comment or chat message
+ */
+function getOpenReports() {
+  const groups = db.prepare(`
+    SELECT content_type, content_id,
+           COUNT(*) AS report_count,
+           GROUP_CONCAT(DISTINCT reason) AS reasons,
+           MIN(created_at) AS first_reported_at
+    FROM reports
+    WHERE status = 'open'
+    GROUP BY content_type, content_id
+    ORDER BY report_count DESC, first_reported_at ASC
+  `).all();
+
+  return groups.map(group => {
+    const content = getReportedContent(group.content_type, group.content_id);
+    const details = db.prepare(`
+      SELECT r.reason, r.details, r.created_at, u.username AS reporter_username
+      FROM reports r
+      JOIN users u ON r.reporter_id = u.id
+      WHERE r.content_type = ? AND r.content_id = ? AND r.status = 'open'
+      ORDER BY r.created_at ASC
+    `).all(group.content_type, group.content_id);
+
+    return Object.assign({}, group, { content: content, reports: details });
+  });
+}
+
+/**
+ * The comment or chat message a report points at, or null if it is gone
+ */
+function getReportedContent(contentType, contentId) {
+  if (contentType === 'comment') {
+    return db.prepare(`
+      SELECT c.id, c.user_id, c.text, c.is_hidden, c.is_deleted, c.created_at, u.username, u.display_name
+      FROM comments c JOIN users u ON c.user_id = u.id
+      WHERE c.id = ?
+    `).get(contentId) || null;
+  }
+
+  if (contentType === 'chat') {
+    return db.prepare(`
+      SELECT cm.id, cm.user_id, cm.message AS text, cm.is_hidden, cm.room_id, cm.created_at, u.username, u.display_name
+      FROM chat_messages cm JOIN users u ON cm.user_id = u.id
+      WHERE cm.id = ?
+    `).get(contentId) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Close every open report for an item. Status is 'resolved' (action taken) or 'dismissed'.
+ */
+function closeReports(contentType, contentId, status, moderatorId) {
+  return db.prepare(`
+    UPDATE reports
+    SET status = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP
+    WHERE content_type = ? AND content_id = ? AND status = 'open'
+  `).run(status, moderatorId, contentType, contentId);
+}
+
+/**
+ * Change a user's role. Returns { user } or { error }.
+ */
+function setUserRole(username, role) {
+  if (!Object.prototype.hasOwnProperty.call(ROLE_LEVELS, role)) {
+    return { error: 'Invalid role' };
+  }
+
+  const user = db.prepare('SELECT id, username, role FROM users WHERE username = ?').get(username);
+  if (!user) {
+    return { error: 'No user with that username' };
+  }
+
+  db.prepare('UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(role, user.id);
+  return { user: Object.assign({}, user, { previousRole: user.role, role: role }) };
+}
+
+module.exports = {
+  logModeratorAction,
+  getRecentActions,
+  isThreadLocked,
+  setCommentHidden,
+  setCommentLocked,
+  setChatMessageHidden,
+  deleteChatMessage,
+  moderateChatMessage,
+  getOpenReports,
+  getReportedContent,
+  closeReports,
+  setUserRole
+};
@@ -0,0 +1,151 @@
+// modules/notifications.js
+const db = require('../database');
+const { userRoom } = require('./socket-auth');
+
+const NOTIFICATIONS_PER_PAGE = 20;
+
+// Every kind of notification, with the label shown on the profile preferences
+const NOTIFICATION_TYPES = {
+  reply: 'Replies to my comments',
+  mention: 'Mentions of my @username',
+  poke: 'Pokes'
+};
+
+/**
+ * Whether a user wants notifications of this type (on unless they turned it off)
+ */
+function isNotificationEnabled(userId, type) {
+  const row = db.prepare('SELECT enabled FROM notification_preferences WHERE user_id = ? AND type = ?').get(userId, type);
+  return !row || !!row.enabled;
+}
+
+/**
+ * Every notification type with its label and whether the user has it on
+ */
+function getNotificationPreferences(userId) {
+  const saved = {};
+  db.prepare('SELECT type, enabled FROM notification_preferences WHERE user_id = ?').all(userId)
+    .forEach(row => { saved[row.type] = !!row.enabled; });
+
+  return Object.keys(NOTIFICATION_TYPES).map(type => ({
+    type: type,
+    label: NOTIFICATION_TYPES[type],
+    enabled: saved[type] !== false
+  }));
+}
+
+/**
+ * Turn on the listed types and turn off every other one
+ */
+function setNotificationPreferences(userId, enabledTypes) {
+  const upsert = db.prepare(`
+    INSERT INTO notification_preferences (user_id, type, enabled) VALUES (?, ?, ?)
+    ON CONFLICT(user_id, type) DO UPDATE SET enabled = excluded.enabled
+  `);
+
+  db.transaction(() => {
+    Object.keys(NOTIFICATION_TYPES).forEach(type => {
+      upsert.run(userId, type, enabledTypes.includes(type) ? 1 : 0);
+    });
+  })();
+}
+
+function countUnread(userId) {
+  return db.prepare('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0').get(userId).count;
+}
+
+/**
+ * Store a notification for a user and push it to any page they have open.
+ * actorId is the user who caused it, if any; url is where clicking it leads.
+ * Returns null without storing anything if the user turned this type off.
+ */
+function createNotification(io, userId, type, message, { actorId = null, url = null } = {}) {
+  if (!isNotificationEnabled(userId, type)) {
+    return null;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO notifications (user_id, type, actor_id, message, url)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(userId, type, actorId, message, url);
+
+  const notification = {
+    id: result.lastInsertRowid,
+    type: type,
+    message: message,
+    url: url,
+    createdAt: new Date().toISOString()
+  };
+
+  if (io) {
+    io.to(userRoom(userId)).emit('notification', Object.assign({ unreadCount: countUnread(userId) }, notification));
+  }
+
+  return notification;
+}
+
+/**
+ * One page of a user's notifications, newest first.
+ * Returns { notifications, totalPages }.
+ */
+function getNotifications(userId, page = 1) {
+  const notifications = db.prepare(`
+    SELECT n.id, n.type, n.message, n.url, n.is_read, n.created_at,
+           u.username AS actor_username, u.profile_avatar AS actor_avatar, u.avatar_image AS actor_avatar_image
+    FROM notifications n
+    LEFT JOIN users u ON n.actor_id = u.id
+    WHERE n.user_id = ?
+    ORDER BY n.created_at DESC, n.id DESC
+    LIMIT ? OFFSET ?
+  `).all(userId, NOTIFICATIONS_PER_PAGE, (page - 1) * NOTIFICATIONS_PER_PAGE);
+
+  const total = db.prepare('SELECT COUNT(*) as count FROM notifications WHERE user_id = ?').get(userId).count;
+
+  return { notifications, totalPages: Math.max(1, Math.ceil(total / NOTIFICATIONS_PER_PAGE)) };
+}
+
+// Tell the user's other open pages that their unread count changed
+function emitUnreadCount(io, userId) {
+  if (io) {
+    io.to(userRoom(userId)).emit('notifications-read', { unreadCount: countUnread(userId) });
+  }
+}
+
+/**
+ * Mark one of the user's notifications read. Returns it, or null if it isn't theirs.
+ */
+function markRead(io, userId, notificationId) {
+  const notification = db.prepare('SELECT id, url, is_read FROM notifications WHERE id = ? AND user_id = ?').get(notificationId, userId);
+  if (!notification) {
+    return null;
+  }
+
+  if (!notification.is_read) {
+    db.prepare('UPDATE notifications SET is_read = 1 WHERE id = ?').run(notification.id);
+    emitUnreadCount(io, userId);
+  }
+  return notification;
+}
+
+/**
+ * Mark all of the user's notifications read. Returns how many were unread.
+ */
+function markAllRead(io, userId) {
+  const result = db.prepare('UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0').run(userId);
+  if (result.changes > 0) {
+    emitUnreadCount(io, userId);
+  }
+  return result.changes;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATIONS_PER_PAGE,
+  getNotificationPreferences,
+  setNotificationPreferences,
+  countUnread,
+  createNotification,
+  getNotifications,
+  markRead,
+  markAllRead
+};
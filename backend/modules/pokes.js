@@ -0,0 +1,66 @@
+// modules/pokes.js
+const db = require('../database');
+const { createNotification } = require('./notifications');
+const { sendPokeEmail } = require('./sendEmail');
+
+// One person can poke the same person again only after this long
+const POKE_COOLDOWN_MINUTES = parseInt(process.env.POKE_COOLDOWN_MINUTES) || 60;
+
+// Minutes left before fromUserId may poke toUserId again, or 0
+function cooldownRemaining(fromUserId, toUserId) {
+  const last = db.prepare(`
+    SELECT (julianday(created_at, ?) - julianday('now')) * 24 * 60 AS minutes_left
+    FROM pokes
+    WHERE from_user_id = ? AND to_user_id = ?
+    ORDER BY created_at DESC
+    LIMIT 1
+  `).get(`+${POKE_COOLDOWN_MINUTES} minutes`, fromUserId, toUserId);
+
+  return last && last.minutes_left > 0 ? Math.ceil(last.minutes_left) : 0;
+}
+
+/**
+ * Poke another user by username. They get a notification, and an email
+ * if they asked for one. Returns { target } or { error }.
+ */
+async function pokeUser(io, fromUser, username) {
+  const target = db.prepare(`
+    SELECT id, username, display_name, email, email_verified, allow_pokes, poke_emails
+    FROM users WHERE username = ?
+  `).get(typeof username === 'string' ? username.trim() : '');
+
+  if (!target) {
+    return { error: 'User not found' };
+  }
+  if (target.id === fromUser.id) {
+    return { error: 'You can\'t poke yourself' };
+  }
+  if (!target.allow_pokes) {
+    return { error: `${target.display_name || target.username} isn't accepting pokes` };
+  }
+
+  const minutesLeft = cooldownRemaining(fromUser.id, target.id);
+  if (minutesLeft > 0) {
+    return { error: `You poked ${target.display_name || target.username} recently. Try again in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.` };
+  }
+
+  db.prepare('INSERT INTO pokes (from_user_id, to_user_id) VALUES (?, ?)').run(fromUser.id, target.id);
+
+  const fromName = fromUser.displayName || fromUser.username;
+  createNotification(io, target.id, 'poke', `${fromName} poked you!`, { actorId: fromUser.id });
+
+  // Emails only go to confirmed addresses
+  if (target.poke_emails && target.email_verified) {
+    const emailResult = await sendPokeEmail(target.email, fromName);
+    if (!emailResult.success) {
+      console.error('Failed to queue poke email:', emailResult.error);
+    }
+  }
+
+  return { target };
+}
+
+module.exports = {
+  POKE_COOLDOWN_MINUTES,
+  pokeUser
+};
@@ -0,0 +1,214 @@
+// modules/rate-limit.js
+const db = require('../database');
+const { sendApiError } = require('./api-helpers');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// SQLite's CURRENT_TIMESTAMP format (UTC), for comparing with logged times
+function toSqlTime(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromSqlTime(value) {
+  return new Date(value.replace(' ', 'T') + 'Z').getTime();
+}
+
+/**
+ * Hits kept in the rate_limit_hits table, so limits hold across restarts
+ */
+function sqliteStore(name, windowMs) {
+  return {
+    recent(key, since) {
+      return db.prepare(`
+        SELECT hit_at FROM rate_limit_hits
+        WHERE bucket = ? AND subject = ? AND hit_at > ?
+        ORDER BY hit_at ASC
+      `).all(name, String(key), since).map(row => row.hit_at);
+    },
+    record(key, time) {
+      db.prepare('INSERT INTO rate_limit_hits (bucket, subject, hit_at) VALUES (?, ?, ?)').run(name, String(key), time);
+      // Hits that have slid out of the window are never looked at again
+      db.prepare('DELETE FROM rate_limit_hits WHERE bucket = ? AND hit_at <= ?').run(name, time - windowMs);
+    }
+  };
+}
+
+/**
+ * Hits kept in memory, for busy limits with short windows where forgetting
+ * them on a restart doesn't matter
+ */
+function memoryStore(windowMs) {
+  const hits = new Map();
+
+  return {
+    recent(key, since) {
+      return (hits.get(key) || []).filter(time => time > since);
+    },
+    record(key, time) {
+      hits.set(key, this.recent(key, time - windowMs).concat(time));
+
+      // Drop everyone who has gone quiet so the map doesn't keep growing
+      if (hits.size > 1000) {
+        for (const [otherKey, times] of hits) {
+          if (times[times.length - 1] <= time - windowMs) {
+            hits.delete(otherKey);
+          }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Failed logins are already logged with their IP address and username, so the
+ * login limits count those rows instead of keeping their own. Attempts turned
+ * away by a limit are left out, or retrying would push the wait back forever.
+ * filter matches the rows for a key; params turns the key into the named
+ * parameters it uses.
+ */
+function failedLoginStore(filter, params = key => ({ key })) {
+  return {
+    recent(key, since) {
+      return db.prepare(`
+        SELECT attempt_time FROM login_attempts
+        WHERE ${filter} AND success = 0 AND failure_reason IS NOT 'rate_limited' AND attempt_time > @since
+        ORDER BY attempt_time ASC
+      `).all({ ...params(key), since: toSqlTime(since) }).map(row => fromSqlTime(row.attempt_time));
+    }
+  };
+}
+
+// Usernames are counted however they were typed
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+/**
+ * A sliding-window limit: at most `limit` hits per key within any `windowMs`.
+ * store is 'sqlite' (the default), 'memory', or an object with
+ * recent(key, since) and optionally record(key, time).
+ */
+function createRateLimiter(name, { limit, windowMs, store = 'sqlite' }) {
+  const hitStore = store === 'sqlite' ? sqliteStore(name, windowMs)
+    : store === 'memory' ? memoryStore(windowMs)
+    : store;
+
+  // Seconds until key is under the limit again, or 0 if it is now
+  function retryAfter(key, now = Date.now()) {
+    const hits = hitStore.recent(key, now - windowMs);
+    if (hits.length < limit) {
+      return 0;
+    }
+
+    // Wait until enough of the hits in the window have aged out of it
+    const oldest = hits[hits.length - limit];
+    return Math.max(1, Math.ceil((oldest + windowMs - now) / SECOND));
+  }
+
+  return {
+    name,
+    limit,
+    windowMs,
+    retryAfter,
+
+    /**
+     * Count a hit for key if it is under the limit. Returns 0 when the hit
+     * is allowed, or the seconds to wait when it is not.
+     */
+    consume(key) {
+      const now = Date.now();
+      const wait = retryAfter(key, now);
+      if (wait === 0 && hitStore.record) {
+        hitStore.record(key, now);
+      }
+      return wait;
+    }
+  };
+}
+
+/**
+ * A wait for messages, e.g. "45 seconds" or "3 minutes"
+ */
+function describeWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Start a 429 response with its Retry-After header
+ */
+function tooManyRequests(res, seconds) {
+  return res.status(429).set('Retry-After', String(seconds));
+}
+
+/**
+ * Express middleware for a limiter. key(req) picks who is limited (the
+ * client's IP by default). Requests over the limit get a 429 with
+ * Retry-After; onLimited(req, res, seconds) can send a page instead of the
+ * default JSON reply.
+ */
+function rateLimit(limiter, { key = req => req.ip, onLimited } = {}) {
+  return function(req, res, next) {
+    const wait = limiter.consume(key(req));
+    if (wait === 0) {
+      return next();
+    }
+
+    console.warn(`Rate limit ${limiter.name} hit: ${req.method} ${req.originalUrl} from ${req.ip}`);
+    tooManyRequests(res, wait);
+
+    if (onLimited) {
+      return onLimited(req, res, wait);
+    }
+    if (req.baseUrl === '/api/v1') {
+      return sendApiError(res, 429, 'rate_limited', `Too many requests. Try again in ${describeWait(wait)}.`);
+    }
+    res.json({ success: false, message: `Too many requests. Try again in ${describeWait(wait)}.` });
+  };
+}
+
+// Failed logins from one address, across every username (credential stuffing).
+// Keyed by IP address.
+const loginIpLimiter = createRateLimiter('login-ip', {
+  limit: 20,
+  windowMs: 15 * MINUTE,
+  store: failedLoginStore('ip_address = @key')
+});
+
+// Failed logins for one account from one address. Keyed by { ipAddress, username }.
+// Other addresses aren't counted, so nobody can lock a user out by guessing their password.
+const loginAccountLimiter = createRateLimiter('login-account', {
+  limit: 5,
+  windowMs: 15 * MINUTE,
+  store: failedLoginStore('ip_address = @ipAddress AND lower(trim(username)) = @username', key => ({
+    ipAddress: key.ipAddress,
+    username: normalizeUsername(key.username)
+  }))
+});
+
+const registerLimiter = createRateLimiter('register', { limit: 5, windowMs: HOUR });
+
+const forgotPasswordLimiter = createRateLimiter('forgot-password', { limit: 5, windowMs: 15 * MINUTE });
+
+// Shared by the website and the JSON API, keyed by user
+const commentLimiter = createRateLimiter('comments', { limit: 10, windowMs: 5 * MINUTE });
+
+const chatMessageLimiter = createRateLimiter('chat-messages', { limit: 10, windowMs: 10 * SECOND, store: 'memory' });
+
+module.exports = {
+  createRateLimiter,
+  rateLimit,
+  tooManyRequests,
+  describeWait,
+  loginIpLimiter,
+  loginAccountLimiter,
+  registerLimiter,
+  forgotPasswordLimiter,
+  commentLimiter,
+  chatMessageLimiter
+};
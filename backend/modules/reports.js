@@ -0,0 +1,110 @@
+// modules/reports.js
+const db = require('../database');
+const { isMember } = require('./chat-rooms');
+const {
+  logModeratorAction,
+  getReportedContent,
+  setCommentHidden,
+  moderateChatMessage
+} = require('./moderation');
+
+// Categories a reporter picks from; free text goes in the details
+const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or advertising' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate', label: 'Hate speech' },
+  { value: 'inappropriate', label: 'Inappropriate or explicit content' },
+  { value: 'other', label: 'Something else' }
+];
+
+const MAX_DETAILS_LENGTH = 500;
+
+// Content is hidden automatically once this many different people have reported it
+const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 3;
+
+function hasReported(contentType, contentId, reporterId) {
+  return !!db.prepare(`
+    SELECT 1 FROM reports WHERE content_type = ? AND content_id = ? AND reporter_id = ?
+  `).get(contentType, contentId, reporterId);
+}
+
+/**
+ * Number of different people with an open report on an item
+ */
+function countOpenReporters(contentType, contentId) {
+  return db.prepare(`
+    SELECT COUNT(DISTINCT reporter_id) AS count
+    FROM reports
+    WHERE content_type = ? AND content_id = ? AND status = 'open'
+  `).get(contentType, contentId).count;
+}
+
+/**
+ * Report a comment or chat message. Hides the content once it reaches
+ * AUTO_HIDE_THRESHOLD reporters; io is used to remove hidden chat messages live.
+ * Returns { autoHidden } or { error }.
+ */
+function createReport(io, contentType, contentId, reporterId, reason, details) {
+  if (!REPORT_REASONS.some(option => option.value === reason)) {
+    return { error: 'Please choose a reason for the report' };
+  }
+
+  const detailText = typeof details === 'string' ? details.trim() : '';
+  if (detailText.length > MAX_DETAILS_LENGTH) {
+    return { error: `Details must be ${MAX_DETAILS_LENGTH} characters or less` };
+  }
+
+  const content = getReportedContent(contentType, contentId);
+  if (!content || content.is_deleted) {
+    return { error: 'That content no longer exists' };
+  }
+
+  if (contentType === 'chat' && !isMember(content.room_id, reporterId)) {
+    return { error: 'That content no longer exists' };
+  }
+
+  if (content.user_id === reporterId) {
+    return { error: 'You cannot report your own content' };
+  }
+
+  if (hasReported(contentType, contentId, reporterId)) {
+    return { error: 'You have already reported this' };
+  }
+
+  try {
+    db.prepare(`
+      INSERT INTO reports (content_type, content_id, reporter_id, reason, details)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(contentType, contentId, reporterId, reason, detailText || null);
+  } catch (error) {
+    // Two reports from the same person can race past the check above
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return { error: 'You have already reported this' };
+    }
+    throw error;
+  }
+
+  const reporterCount = countOpenReporters(contentType, contentId);
+  if (content.is_hidden || reporterCount < AUTO_HIDE_THRESHOLD) {
+    return { autoHidden: false };
+  }
+
+  // Auto-hides are logged without a moderator so they show up as "system"
+  if (contentType === 'comment') {
+    setCommentHidden(contentId, true);
+    logModeratorAction(null, 'hide_comment', 'comment', contentId, `auto-hidden after ${reporterCount} reports`);
+  } else {
+    moderateChatMessage(io, null, contentId, 'hide');
+  }
+
+  return { autoHidden: true };
+}
+
+module.exports = {
+  REPORT_REASONS,
+  MAX_DETAILS_LENGTH,
+  AUTO_HIDE_THRESHOLD,
+  hasReported,
+  countOpenReporters,
+  createReport
+};
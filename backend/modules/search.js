@@ -0,0 +1,202 @@
+// modules/search.js
+const db = require('../database');
+const { avatarUrl } = require('./avatars');
+
+const RESULTS_PER_PAGE = 20;
+
+// Matches the thread page size on /comments, used to link a result to its page
+const THREADS_PER_PAGE = 20;
+
+const SOURCES = ['all', 'comments', 'chat'];
+
+// snippet() wraps matches in these control characters; they are swapped for
+// <mark> tags after the rest of the snippet has been HTML-escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Turn what the user typed into a safe FTS5 query: every word must match,
+ * and the last word also matches as a prefix so partial words still find results.
+ * Returns null if there is nothing to search for.
+ */
+function buildMatchQuery(text) {
+  const terms = (text || '').match(/[\p{L}\p{N}_]+/gu);
+  if (!terms) {
+    return null;
+  }
+
+  return terms.slice(0, 10).map((term, i, all) => `"${term}"${i === all.length - 1 ? '*' : ''}`).join(' ');
+}
+
+function highlightSnippet(snippet) {
+  return escapeHtml(snippet || '')
+    .split(MARK_START).join('<mark>')
+    .split(MARK_END).join('</mark>');
+}
+
+/**
+ * Clean up search filters from a query string. Unknown sources fall back to
+ * 'all' and dates that aren't YYYY-MM-DD are ignored.
+ */
+function parseFilters(query) {
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  const author = typeof query.author === 'string' ? query.author.trim().replace(/^@/, '') : '';
+
+  return {
+    q: text,
+    author: author,
+    source: SOURCES.includes(query.source) ? query.source : 'all',
+    from: DATE_PATTERN.test(query.from) ? query.from : '',
+    to: DATE_PATTERN.test(query.to) ? query.to : ''
+  };
+}
+
+/**
+ * The /comments page that shows a comment's thread
+ */
+function getCommentPage(commentId) {
+  const row = db.prepare(`
+    WITH RECURSIVE ancestors(id, parent_id, created_at) AS (
+      SELECT id, parent_id, created_at FROM comments WHERE id = ?
+      UNION ALL
+      SELECT c.id, c.parent_id, c.created_at FROM comments c JOIN ancestors a ON c.id = a.parent_id
+    ),
+    root AS (SELECT id, created_at FROM ancestors WHERE parent_id IS NULL)
+    SELECT COUNT(*) AS newer_threads
+    FROM comments, root
+    WHERE comments.parent_id IS NULL AND comments.is_pruned = 0
+      AND (comments.created_at, comments.id) > (root.created_at, root.id)
+  `).get(commentId);
+
+  return Math.floor(row.newer_threads / THREADS_PER_PAGE) + 1;
+}
+
+/**
+ * Search comments and the chat rooms the user belongs to. Guests can only
+ * search comments, and hidden content is only found by moderators.
+ * Returns { results, totalResults } for one page, best matches first.
+ */
+function searchContent(filters, user, page = 1) {
+  const match = buildMatchQuery(filters.q);
+  if (!match) {
+    return { results: [], totalResults: 0 };
+  }
+
+  const parts = [];
+  const params = [];
+
+  // Author and date filters are the same for both sources
+  function addCommonFilters(alias, conditions, values) {
+    if (filters.author) {
+      conditions.push('u.username = ? COLLATE NOCASE');
+      values.push(filters.author);
+    }
+    if (filters.from) {
+      conditions.push(`${alias}.created_at >= ?`);
+      values.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push(`${alias}.created_at < date(?, '+1 day')`);
+      values.push(filters.to);
+    }
+  }
+
+  if (filters.source !== 'chat') {
+    const conditions = ['comments_fts MATCH ?', 'c.is_deleted = 0'];
+    const values = [MARK_START, MARK_END, match];
+    if (!user.isModerator) {
+      conditions.push('c.is_hidden = 0');
+    }
+    addCommonFilters('c', conditions, values);
+
+    parts.push(`
+      SELECT 'comment' AS source, c.id, NULL AS room_id, NULL AS room_name, NULL AS room_type,
+             c.created_at, c.is_hidden, u.username, u.display_name, u.profile_avatar, u.avatar_image,
+             snippet(comments_fts, 0, ?, ?, '…', 16) AS snippet,
+             bm25(comments_fts) AS rank
+      FROM comments_fts
+      JOIN comments c ON c.id = comments_fts.rowid
+      JOIN users u ON u.id = c.user_id
+      WHERE ${conditions.join(' AND ')}
+    `);
+    params.push(...values);
+  }
+
+  if (filters.source !== 'comments' && user.loggedIn) {
+    const conditions = [
+      'chat_messages_fts MATCH ?',
+      'cm.room_id IN (SELECT room_id FROM chat_room_members WHERE user_id = ?)'
+    ];
+    const values = [MARK_START, MARK_END, match, user.id];
+    if (!user.isModerator) {
+      conditions.push('cm.is_hidden = 0');
+    }
+    addCommonFilters('cm', conditions, values);
+
+    parts.push(`
+      SELECT 'chat' AS source, cm.id, cm.room_id, r.name AS room_name, r.type AS room_type,
+             cm.created_at, cm.is_hidden, u.username, u.display_name, u.profile_avatar, u.avatar_image,
+             snippet(chat_messages_fts, 0, ?, ?, '…', 16) AS snippet,
+             bm25(chat_messages_fts) AS rank
+      FROM chat_messages_fts
+      JOIN chat_messages cm ON cm.id = chat_messages_fts.rowid
+      JOIN chat_rooms r ON r.id = cm.room_id
+      JOIN users u ON u.id = cm.user_id
+      WHERE ${conditions.join(' AND ')}
+    `);
+    params.push(...values);
+  }
+
+  if (parts.length === 0) {
+    return { results: [], totalResults: 0 };
+  }
+
+  const union = parts.join(' UNION ALL ');
+  const totalResults = db.prepare(`SELECT COUNT(*) AS count FROM (${union})`).get(...params).count;
+
+  const rows = db.prepare(`
+    SELECT * FROM (${union})
+    ORDER BY rank ASC, created_at DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, RESULTS_PER_PAGE, (page - 1) * RESULTS_PER_PAGE);
+
+  const results = rows.map(row => ({
+    source: row.source,
+    id: row.id,
+    author: row.display_name || row.username,
+    username: row.username,
+    profileAvatar: row.profile_avatar || '👤',
+    avatarUrl: avatarUrl(row.avatar_image),
+    createdAt: row.created_at,
+    isHidden: !!row.is_hidden,
+    snippet: highlightSnippet(row.snippet),
+    location: row.source === 'comment'
+      ? 'Comments'
+      : (row.room_type === 'direct' ? 'Direct message' : `#${row.room_name}`),
+    url: row.source === 'comment'
+      ? `/comments?page=${getCommentPage(row.id)}#comment-${row.id}`
+      : `/chat?room=${row.room_id}`
+  }));
+
+  return { results, totalResults };
+}
+
+module.exports = {
+  RESULTS_PER_PAGE,
+  SOURCES,
+  buildMatchQuery,
+  parseFilters,
+  getCommentPage,
+  searchContent
+};
@@ -0,0 +1,155 @@
+// modules/session-store.js
+const session = require('express-session');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * express-session store backed by the sessions table in better-sqlite3.
+ * Sessions survive server restarts and expired rows are removed periodically.
+ * The userAgent and ipAddress session fields are copied into their own columns
+ * so the session list can be read without parsing session_data.
+ *
+ * Sessions read from the table are marked `stored`, and saving one only
+ * updates its row. A revoked session's row is gone, so a request that was
+ * still in flight when it was revoked can't bring it back; only sessions
+ * created during the request are inserted.
+ */
+class SQLiteSessionStore extends session.Store {
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.ttl = options.ttl || ONE_DAY;
+
+    this.statements = {
+      get: db.prepare(`
+        SELECT session_data FROM sessions
+        WHERE id = ? AND expires_at > datetime('now')
+      `),
+      insert: db.prepare(`
+        INSERT INTO sessions (user_id, session_data, user_agent, ip_address, expires_at, last_seen_at, id)
+        VALUES (?, ?, ?, ?, datetime(?, 'unixepoch'), CURRENT_TIMESTAMP, ?)
+      `),
+      update: db.prepare(`
+        UPDATE sessions
+        SET user_id = ?, session_data = ?, user_agent = ?, ip_address = ?,
+            expires_at = datetime(?, 'unixepoch'), last_seen_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `),
+      touch: db.prepare(`
+        UPDATE sessions SET expires_at = datetime(?, 'unixepoch'), last_seen_at = CURRENT_TIMESTAMP WHERE id = ?
+      `),
+      destroy: db.prepare('DELETE FROM sessions WHERE id = ?'),
+      clearExpired: db.prepare(`DELETE FROM sessions WHERE expires_at <= datetime('now')`),
+      all: db.prepare(`SELECT id, session_data FROM sessions WHERE expires_at > datetime('now')`),
+      length: db.prepare(`SELECT COUNT(*) as count FROM sessions WHERE expires_at > datetime('now')`),
+      clear: db.prepare('DELETE FROM sessions')
+    };
+
+    // Periodically remove expired sessions without keeping the process alive
+    const interval = options.cleanupInterval || CLEANUP_INTERVAL;
+    this.cleanupTimer = setInterval(() => this.clearExpired(), interval);
+    this.cleanupTimer.unref();
+    this.clearExpired();
+  }
+
+  // Expiry as unix seconds, taken from the session cookie when it has one
+  getExpiry(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires
+      ? new Date(sess.cookie.expires).getTime()
+      : Date.now() + this.ttl;
+    return Math.floor(expires / 1000);
+  }
+
+  get(sid, callback) {
+    try {
+      const row = this.statements.get.get(sid);
+      if (!row) {
+        return callback(null, null);
+      }
+      const sess = JSON.parse(row.session_data);
+      sess.stored = true;
+      callback(null, sess);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  set(sid, sess, callback) {
+    try {
+      const { stored, ...data } = sess;
+      const statement = stored ? this.statements.update : this.statements.insert;
+      statement.run(
+        sess.userId || null,
+        JSON.stringify(data),
+        sess.userAgent || null,
+        sess.ipAddress || null,
+        this.getExpiry(sess),
+        sid
+      );
+      if (callback) callback(null);
+    } catch (error) {
+      if (callback) callback(error);
+    }
+  }
+
+  touch(sid, sess, callback) {
+    try {
+      this.statements.touch.run(this.getExpiry(sess), sid);
+      if (callback) callback(null);
+    } catch (error) {
+      if (callback) callback(error);
+    }
+  }
+
+  destroy(sid, callback) {
+    try {
+      this.statements.destroy.run(sid);
+      if (callback) callback(null);
+    } catch (error) {
+      if (callback) callback(error);
+    }
+  }
+
+  all(callback) {
+    try {
+      const sessions = {};
+      this.statements.all.all().forEach(row => {
+        sessions[row.id] = JSON.parse(row.session_data);
+      });
+      callback(null, sessions);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  length(callback) {
+    try {
+      callback(null, this.statements.length.get().count);
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  clear(callback) {
+    try {
+      this.statements.clear.run();
+      if (callback) callback(null);
+    } catch (error) {
+      if (callback) callback(error);
+    }
+  }
+
+  clearExpired() {
+    try {
+      const result = this.statements.clearExpired.run();
+      if (result.changes > 0) {
+        console.log(`Removed ${result.changes} expired sessions`);
+      }
+    } catch (error) {
+      console.error('Error clearing expired sessions:', error);
+    }
+  }
+}
+
+module.exports = SQLiteSessionStore;
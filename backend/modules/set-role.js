@@ -0,0 +1,22 @@
+// set-role.js
+// Command line helper to give a user a role, e.g. to create the first admin:
+//   node modules/set-role.js <username> <user|moderator|admin>
+const { setUserRole, logModeratorAction } = require('./moderation');
+
+const [username, role] = process.argv.slice(2);
+
+if (!username || !role) {
+  console.log('Usage: node modules/set-role.js <username> <user|moderator|admin>');
+  process.exit(1);
+}
+
+const result = setUserRole(username, role);
+
+if (result.error) {
+  console.error(result.error);
+  process.exit(1);
+}
+
+// No moderator id: the change came from the server console
+logModeratorAction(null, 'set_role', 'user', result.user.id, `${result.user.previousRole} -> ${result.user.role} (console)`);
+console.log(`${result.user.username}: ${result.user.previousRole} -> ${result.user.role}`);
@@ -0,0 +1,110 @@
+// modules/socket-auth.js
+const db = require('../database');
+const { getActiveBan } = require('./bans');
+
+// Extra origins allowed to open chat connections, e.g. "https://goob.site,https://www.goob.site"
+const allowedOrigins = (process.env.CHAT_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(origin => origin.length > 0);
+
+/**
+ * Check the Origin header of a Socket.IO handshake.
+ * Same-host requests and configured origins are allowed; requests without an
+ * Origin header (non-browser clients) still have to pass session auth.
+ */
+function isAllowedOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+
+  if (allowedOrigins.includes(origin)) {
+    return true;
+  }
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Socket.IO allowRequest hook that rejects handshakes from foreign origins
+ */
+function allowRequest(req, callback) {
+  callback(null, isAllowedOrigin(req));
+}
+
+/**
+ * Socket.IO middleware that requires a logged-in express session.
+ * The session middleware must be shared with io.engine for this to work.
+ * Suspended and banned users are turned away.
+ * The authenticated user is stored on socket.user.
+ */
+function requireSocketAuth(socket, next) {
+  const session = socket.request.session;
+
+  if (!session || !session.userId) {
+    return next(new Error('Authentication required'));
+  }
+
+  const user = db.prepare(`
+    SELECT id, username, display_name, profile_color, profile_avatar, avatar_image
+    FROM users WHERE id = ?
+  `).get(session.userId);
+
+  if (!user) {
+    return next(new Error('Authentication required'));
+  }
+
+  if (getActiveBan(user.id)) {
+    return next(new Error('Account suspended'));
+  }
+
+  socket.user = user;
+  next();
+}
+
+/**
+ * Room holding every socket of one express session, used to disconnect them on logout
+ */
+function sessionRoom(sessionId) {
+  return `session:${sessionId}`;
+}
+
+/**
+ * Room holding every socket of one user, across all of their sessions
+ */
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Disconnect every socket of a user, e.g. when they are suspended
+ */
+function disconnectUserSockets(io, userId) {
+  if (io && userId) {
+    io.in(userRoom(userId)).disconnectSockets(true);
+  }
+}
+
+/**
+ * Disconnect every socket opened with the given express session
+ */
+function disconnectSessionSockets(io, sessionId) {
+  if (io && sessionId) {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  }
+}
+
+module.exports = {
+  allowedOrigins,
+  allowRequest,
+  requireSocketAuth,
+  sessionRoom,
+  userRoom,
+  disconnectUserSockets,
+  disconnectSessionSockets
+};
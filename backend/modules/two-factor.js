@@ -0,0 +1,227 @@
+// modules/two-factor.js
+const crypto = require('crypto');
+const db = require('../database');
+const { hashPassword, comparePassword } = require('./password-utils');
+
+// RFC 6238 defaults, which is what every authenticator app expects
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step either side for clock drift
+
+const ISSUER = 'Epic Forum';
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random secret, base32 encoded for authenticator apps
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The otpauth:// URI an authenticator app scans or opens to add the account
+ */
+function getOtpauthUri(username, secret) {
+  const issuer = encodeURIComponent(ISSUER);
+  return `otpauth://totp/${issuer}:${encodeURIComponent(username)}` +
+    `?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+}
+
+// The HOTP value (RFC 4226) for one 30 second step
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Find the time step a code belongs to, or null. Steps at or before
+ * lastStep were already used and are refused.
+ */
+function matchCode(secret, code, lastStep = 0) {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(given)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (step <= lastStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+// Recovery codes look like "3f9a1-c07be"; spaces, dashes and case don't matter
+function normalizeRecoveryCode(code) {
+  return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+ * Replace a user's recovery codes with a new set. Only hashes are stored,
+ * so the returned plain codes can be shown once and never again.
+ */
+async function createRecoveryCodes(userId) {
+  const codes = [];
+  const hashes = [];
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    hashes.push(await hashPassword(code));
+  }
+
+  const insert = db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+  db.transaction(() => {
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    hashes.forEach(hash => insert.run(userId, hash));
+  })();
+
+  return codes;
+}
+
+/**
+ * How many unused recovery codes a user has left
+ */
+function countRecoveryCodes(userId) {
+  return db.prepare('SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL').get(userId).count;
+}
+
+// Spend a recovery code. Returns true if it was valid and unused.
+async function useRecoveryCode(userId, code) {
+  const given = normalizeRecoveryCode(code);
+  if (!/^[0-9a-f]{10}$/.test(given)) {
+    return false;
+  }
+
+  const rows = db.prepare('SELECT id, code_hash FROM recovery_codes WHERE user_id = ? AND used_at IS NULL').all(userId);
+  for (const row of rows) {
+    if (await comparePassword(given, row.code_hash)) {
+      const result = db.prepare('UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL').run(row.id);
+      return result.changes === 1;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check the second factor for a user with 2FA turned on: a code from their
+ * authenticator app, or one of their recovery codes.
+ * Returns { method: 'totp' | 'recovery' } or { error }.
+ */
+async function verifySecondFactor(userId, code) {
+  const user = db.prepare('SELECT totp_secret, totp_enabled, totp_last_step FROM users WHERE id = ?').get(userId);
+  if (!user || !user.totp_enabled || !user.totp_secret) {
+    return { error: 'Two-factor authentication is not enabled' };
+  }
+
+  const step = matchCode(user.totp_secret, code, user.totp_last_step);
+  if (step !== null) {
+    db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ?').run(step, userId);
+    return { method: 'totp' };
+  }
+
+  if (await useRecoveryCode(userId, code)) {
+    return { method: 'recovery' };
+  }
+
+  return { error: 'Invalid authentication code' };
+}
+
+/**
+ * Turn on 2FA once the user has proven their app works by entering a code
+ * for the new secret. Returns { recoveryCodes } or { error }.
+ */
+async function enableTwoFactor(userId, secret, code) {
+  const step = matchCode(secret, code);
+  if (step === null) {
+    return { error: 'That code doesn\'t match. Check the time on your device and try again.' };
+  }
+
+  db.prepare(`
+    UPDATE users
+    SET totp_secret = ?, totp_enabled = 1, totp_last_step = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(secret, step, userId);
+
+  const recoveryCodes = await createRecoveryCodes(userId);
+  return { recoveryCodes };
+}
+
+/**
+ * Turn off 2FA and throw away the secret and recovery codes
+ */
+function disableTwoFactor(userId) {
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users
+      SET totp_secret = NULL, totp_enabled = 0, totp_last_step = 0, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(userId);
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+  })();
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  getOtpauthUri,
+  generateCode,
+  matchCode,
+  createRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+  enableTwoFactor,
+  disableTwoFactor
+};
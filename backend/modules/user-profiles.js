@@ -0,0 +1,156 @@
+// modules/user-profiles.js
+const db = require('../database');
+const { linkMentions } = require('./mentions');
+const { avatarUrl } = require('./avatars');
+const { socketRoom, getUserRoomIds } = require('./chat-rooms');
+
+const BIO_MAX_LENGTH = 300;
+
+const DISPLAY_NAME_MAX_LENGTH = 100;
+
+// Emoji users can pick as their avatar; no emoji means the default 👤
+const AVATAR_EMOJIS = ['😊', '😎', '🤓', '😴', '🤩', '🥳', '🤖', '👻', '🦊', '🐱', '🐶', '🚀'];
+
+const COMMENTS_PER_PAGE = 10;
+
+/**
+ * The public side of a user's account, or null if there is no such user
+ */
+function getPublicProfile(username) {
+  const user = db.prepare(`
+    SELECT id, username, display_name, profile_color, profile_avatar, avatar_image, bio, role, allow_pokes, created_at
+    FROM users WHERE username = ?
+  `).get(username);
+
+  if (!user) {
+    return null;
+  }
+
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.display_name || user.username,
+    profileColor: user.profile_color || '#000000',
+    profileAvatar: user.profile_avatar || '👤',
+    avatarUrl: avatarUrl(user.avatar_image),
+    bio: user.bio,
+    role: user.role,
+    allowPokes: !!user.allow_pokes,
+    joinedAt: user.created_at
+  };
+}
+
+/**
+ * One page of a user's comments, newest first. Deleted comments are left out,
+ * and hidden ones are only included for moderators.
+ * Returns { comments, totalComments, totalPages }.
+ */
+function getUserComments(userId, page = 1, includeHidden = false) {
+  const hiddenFilter = includeHidden ? '' : 'AND is_hidden = 0';
+
+  const comments = db.prepare(`
+    SELECT id, parent_id, text, is_edited, is_hidden, created_at
+    FROM comments
+    WHERE user_id = ? AND is_deleted = 0 ${hiddenFilter}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(userId, COMMENTS_PER_PAGE, (page - 1) * COMMENTS_PER_PAGE);
+
+  const totalComments = db.prepare(`
+    SELECT COUNT(*) as count FROM comments
+    WHERE user_id = ? AND is_deleted = 0 ${hiddenFilter}
+  `).get(userId).count;
+
+  return {
+    comments: comments.map(comment => ({
+      id: comment.id,
+      textHtml: linkMentions(comment.text),
+      isReply: !!comment.parent_id,
+      isEdited: !!comment.is_edited,
+      isHidden: !!comment.is_hidden,
+      createdAt: comment.created_at
+    })),
+    totalComments: totalComments,
+    totalPages: Math.max(1, Math.ceil(totalComments / COMMENTS_PER_PAGE))
+  };
+}
+
+/**
+ * Set a user's bio. Blank clears it. Returns { bio } or { error }.
+ */
+function updateBio(userId, bio) {
+  // Keep line breaks but drop other control characters
+  const cleaned = (typeof bio === 'string' ? bio : '')
+    .replace(/\r\n/g, '\n')
+    .replace(/[\u0000-\u0009\u000B-\u001F\u007F]/g, '')
+    .trim();
+
+  if (cleaned.length > BIO_MAX_LENGTH) {
+    return { error: `Bio must be ${BIO_MAX_LENGTH} characters or fewer` };
+  }
+
+  db.prepare('UPDATE users SET bio = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(cleaned || null, userId);
+  return { bio: cleaned || null };
+}
+
+/**
+ * Set a user's display name. Returns { displayName } or { error }.
+ */
+function updateDisplayName(userId, displayName) {
+  const trimmed = typeof displayName === 'string' ? displayName.trim() : '';
+
+  if (trimmed.length === 0) {
+    return { error: 'Display name cannot be empty' };
+  }
+
+  if (trimmed.length > DISPLAY_NAME_MAX_LENGTH) {
+    return { error: `Display name must be ${DISPLAY_NAME_MAX_LENGTH} characters or less` };
+  }
+
+  db.prepare('UPDATE users SET display_name = ? WHERE id = ?').run(trimmed, userId);
+  return { displayName: trimmed };
+}
+
+/**
+ * Set a user's avatar emoji from AVATAR_EMOJIS. Empty picks the default.
+ * Returns { avatar } or { error }.
+ */
+function updateAvatarEmoji(userId, avatar) {
+  // Only emoji from the list are accepted (prevent injection)
+  if (avatar && !AVATAR_EMOJIS.includes(avatar)) {
+    return { error: 'Invalid avatar selection' };
+  }
+
+  db.prepare('UPDATE users SET profile_avatar = ? WHERE id = ?').run(avatar || null, userId);
+  return { avatar: avatar || null };
+}
+
+/**
+ * Tell every chat room the user belongs to that their avatar changed.
+ * user is shaped like getCurrentUser's result.
+ */
+function broadcastAvatarChange(io, user) {
+  const roomNames = getUserRoomIds(user.id).map(socketRoom);
+  if (io && roomNames.length > 0) {
+    io.to(roomNames).emit('avatar-updated', {
+      userId: user.id,
+      username: user.username,
+      displayName: user.displayName,
+      newAvatar: user.profileAvatar || '👤',
+      avatarUrl: user.avatarUrl
+    });
+  }
+}
+
+module.exports = {
+  BIO_MAX_LENGTH,
+  DISPLAY_NAME_MAX_LENGTH,
+  AVATAR_EMOJIS,
+  COMMENTS_PER_PAGE,
+  getPublicProfile,
+  getUserComments,
+  updateBio,
+  updateDisplayName,
+  updateAvatarEmoji,
+  broadcastAvatarChange
+};
@@ -0,0 +1,125 @@
+// modules/user-sessions.js
+const crypto = require('crypto');
+const db = require('../database');
+const { disconnectSessionSockets } = require('./socket-auth');
+
+/**
+ * Public handle for a session. The session id itself never goes into a page,
+ * so listing sessions doesn't hand out anything that could be reused as a login.
+ */
+function sessionHandle(sessionId) {
+  return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+}
+
+// A short "Browser on OS" label from a User-Agent header
+function describeDevice(userAgent) {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  let browser = 'Unknown browser';
+  if (/Edg\//.test(userAgent)) browser = 'Edge';
+  else if (/OPR\/|Opera/.test(userAgent)) browser = 'Opera';
+  else if (/Firefox\//.test(userAgent)) browser = 'Firefox';
+  else if (/Chrome\/|CriOS\//.test(userAgent)) browser = 'Chrome';
+  else if (/Safari\//.test(userAgent)) browser = 'Safari';
+  else if (/curl\//.test(userAgent)) browser = 'curl';
+
+  let os = null;
+  if (/iPhone|iPad|iPod/.test(userAgent)) os = 'iOS';
+  else if (/Android/.test(userAgent)) os = 'Android';
+  else if (/Windows/.test(userAgent)) os = 'Windows';
+  else if (/Mac OS X|Macintosh/.test(userAgent)) os = 'macOS';
+  else if (/CrOS/.test(userAgent)) os = 'ChromeOS';
+  else if (/Linux/.test(userAgent)) os = 'Linux';
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+/**
+ * Note the device and address a session is being used from.
+ * Only changes are written, so most requests don't re-save the session.
+ */
+function recordSessionClient(req) {
+  if (!req.session || !req.session.userId) {
+    return;
+  }
+
+  const userAgent = (req.get('User-Agent') || '').slice(0, 500) || null;
+  const ipAddress = req.ip || req.connection.remoteAddress || null;
+
+  if (req.session.userAgent !== userAgent) {
+    req.session.userAgent = userAgent;
+  }
+  if (req.session.ipAddress !== ipAddress) {
+    req.session.ipAddress = ipAddress;
+  }
+}
+
+/**
+ * Every live login of a user, most recently used first
+ */
+function getUserSessions(userId, currentSessionId) {
+  return db.prepare(`
+    SELECT id, user_agent, ip_address, last_seen_at, created_at
+    FROM sessions
+    WHERE user_id = ? AND expires_at > datetime('now')
+    ORDER BY last_seen_at DESC
+  `).all(userId).map(row => ({
+    handle: sessionHandle(row.id),
+    device: describeDevice(row.user_agent),
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address || 'Unknown',
+    lastSeenAt: row.last_seen_at || row.created_at,
+    createdAt: row.created_at,
+    isCurrent: row.id === currentSessionId
+  }));
+}
+
+// Delete sessions and close the chat connections opened with them
+function endSessions(io, sessionIds) {
+  const destroy = db.prepare('DELETE FROM sessions WHERE id = ?');
+  db.transaction(() => {
+    sessionIds.forEach(id => destroy.run(id));
+  })();
+  sessionIds.forEach(id => disconnectSessionSockets(io, id));
+  return sessionIds.length;
+}
+
+/**
+ * Sign out one of a user's other sessions by its handle.
+ * Returns { revoked } or { error }.
+ */
+function revokeSession(io, userId, handle, currentSessionId) {
+  const sessions = db.prepare('SELECT id FROM sessions WHERE user_id = ?').all(userId);
+  const session = sessions.find(row => sessionHandle(row.id) === handle);
+
+  if (!session) {
+    return { error: 'That session has already ended' };
+  }
+  if (session.id === currentSessionId) {
+    return { error: 'Use Logout to end the session you are using now' };
+  }
+
+  return { revoked: endSessions(io, [session.id]) };
+}
+
+/**
+ * Sign out every session of a user except the one given (pass null to
+ * sign out all of them). Returns the number of sessions ended.
+ */
+function revokeOtherSessions(io, userId, currentSessionId) {
+  const ids = db.prepare('SELECT id FROM sessions WHERE user_id = ?').all(userId)
+    .map(row => row.id)
+    .filter(id => id !== currentSessionId);
+
+  return endSessions(io, ids);
+}
+
+module.exports = {
+  describeDevice,
+  recordSessionClient,
+  getUserSessions,
+  revokeSession,
+  revokeOtherSessions
+};
@@ -0,0 +1,68 @@
+// modules/word-diff.js
+
+// Beyond this many word pairs the diff just shows the whole text replaced
+const MAX_DIFF_CELLS = 250000;
+
+// Words and the whitespace between them, so joining the parts gives back the text
+function tokenize(text) {
+  return (text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+// Merge neighbouring parts of the same type so the markup stays small
+function pushPart(parts, type, text) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type: type, text: text });
+  }
+}
+
+/**
+ * Word-level diff between two versions of a text, using the longest common
+ * subsequence of words. Returns parts in reading order, each
+ * { type: 'same' | 'added' | 'removed', text }.
+ */
+function diffWords(oldText, newText) {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+  const parts = [];
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    if (oldText) pushPart(parts, 'removed', oldText);
+    if (newText) pushPart(parts, 'added', newText);
+    return parts;
+  }
+
+  // lcs[i][j] is the LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, 'same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushPart(parts, 'removed', a[i]);
+      i++;
+    } else {
+      pushPart(parts, 'added', b[j]);
+      j++;
+    }
+  }
+  while (i < a.length) pushPart(parts, 'removed', a[i++]);
+  while (j < b.length) pushPart(parts, 'added', b[j++]);
+
+  return parts;
+}
+
+module.exports = {
+  diffWords
+};
@@ -0,0 +1,31 @@
+// public/js/addcomment.js
+// Character counter for the new comment / reply form
+const textarea = document.getElementById('text');
+const counter = document.getElementById('charCounter');
+const submitBtn = document.getElementById('submitBtn');
+
+function updateCharCounter() {
+    const charCount = textarea.value.length;
+    const maxChars = 500;
+
+    counter.textContent = `${charCount} / ${maxChars} characters`;
+
+    // Update styling based on character count
+    counter.classList.remove('warning', 'danger');
+    if (charCount > maxChars * 0.8) {
+        counter.classList.add('warning');
+    }
+    if (charCount > maxChars * 0.95) {
+        counter.classList.add('danger');
+    }
+
+    // Disable submit if empty or too long
+    if (charCount === 0 || charCount > maxChars) {
+        submitBtn.disabled = true;
+    } else {
+        submitBtn.disabled = false;
+    }
+}
+
+textarea.addEventListener('input', updateCharCounter);
+updateCharCounter();
@@ -0,0 +1,460 @@
+// public/js/chat.js
+// Chat functionality
+import { jsonHeaders } from './csrf.js';
+import { applyProfileColors } from './profile-colors.js';
+
+const socket = io();
+const messagesContainer = document.getElementById('messagesContainer');
+const messageInput = document.getElementById('messageInput');
+const chatForm = document.getElementById('chatForm');
+const sendBtn = document.getElementById('sendBtn');
+const connectionIndicator = document.getElementById('connectionIndicator');
+const connectionStatus = document.getElementById('connectionStatus');
+const typingIndicator = document.getElementById('typingIndicator');
+
+// User data and the room being viewed come from the page
+const chatContainer = document.getElementById('chatContainer');
+const userData = {
+    id: Number(chatContainer.getAttribute('data-user-id')),
+    username: chatContainer.getAttribute('data-username'),
+    displayName: chatContainer.getAttribute('data-display-name'),
+    profileAvatar: chatContainer.getAttribute('data-avatar'),
+    avatarUrl: chatContainer.getAttribute('data-avatar-url'),
+    isModerator: chatContainer.hasAttribute('data-moderator')
+};
+
+// Room being viewed
+const activeRoomId = Number(chatContainer.getAttribute('data-room-id'));
+const historyStatus = document.getElementById('historyStatus');
+
+// Older history is fetched a page at a time when scrolled to the top
+let hasMoreHistory = !historyStatus.hidden;
+let loadingHistory = false;
+
+let isConnected = false;
+let typingTimer;
+
+// Socket connection events
+socket.on('connect', () => {
+    console.log('Connected to chat server');
+    isConnected = true;
+    updateConnectionStatus('connected', 'Connected to Live Chat');
+
+    // Join the chat room (the server knows who we are from the session)
+    socket.emit('join-chat', { roomId: activeRoomId });
+});
+
+socket.on('disconnect', (reason) => {
+    console.log('Disconnected from chat server');
+    isConnected = false;
+
+    // The server closes the connection when this session logs out
+    if (reason === 'io server disconnect') {
+        updateConnectionStatus('disconnected', 'Signed out - please log in again');
+    } else {
+        updateConnectionStatus('disconnected', 'Disconnected - Reconnecting...');
+    }
+});
+
+socket.on('connect_error', (error) => {
+    console.error('Connection error:', error);
+
+    if (error.message === 'Authentication required') {
+        window.location.href = '/login';
+        return;
+    }
+
+    // Reloading shows the suspension page
+    if (error.message === 'Account suspended') {
+        window.location.reload();
+        return;
+    }
+    updateConnectionStatus('disconnected', 'Connection Error');
+});
+
+// Chat events - messages from other rooms only bump their unread count
+socket.on('new-message', (messageData) => {
+    if (messageData.room_id !== activeRoomId) {
+        incrementUnread(messageData.room_id);
+        return;
+    }
+
+    addMessageToChat(messageData);
+    scrollToBottom();
+    socket.emit('mark-read', { roomId: activeRoomId });
+});
+
+// Handle message sent confirmation for sender
+socket.on('message-sent', (messageData) => {
+    if (messageData.room_id === activeRoomId) {
+        addMessageToChat(messageData);
+        scrollToBottom();
+    }
+});
+
+socket.on('user-joined', (data) => {
+    if (data.roomId === activeRoomId) {
+        addSystemMessage(`${data.username} joined the chat`, data.timestamp);
+    }
+});
+
+socket.on('user-left', (data) => {
+    if (data.roomId === activeRoomId) {
+        addSystemMessage(`${data.username} left the chat`, data.timestamp);
+    }
+});
+
+// Moderator actions on messages
+socket.on('message-hidden', (data) => {
+    const messageElement = messagesContainer.querySelector(`[data-message-id="${data.id}"]`);
+    if (!messageElement) {
+        return;
+    }
+
+    // Moderators keep seeing hidden messages, marked as hidden
+    if (userData.isModerator) {
+        messageElement.classList.add('hidden-message');
+    } else {
+        messageElement.remove();
+    }
+});
+
+// The server turned a message away; give the text back so it isn't lost
+socket.on('rate-limited', (data) => {
+    addSystemMessage('⏳ ' + data.error, new Date().toISOString());
+    if (!messageInput.value) {
+        messageInput.value = data.message;
+    }
+});
+
+socket.on('message-removed', (data) => {
+    const messageElement = messagesContainer.querySelector(`[data-message-id="${data.id}"]`);
+    if (messageElement) {
+        messageElement.remove();
+    }
+});
+
+// Reporting messages
+const reportDialog = document.getElementById('reportDialog');
+const reportForm = document.getElementById('reportForm');
+let reportMessageId = null;
+
+messagesContainer.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-report]');
+    if (!button) {
+        return;
+    }
+
+    const messageElement = button.closest('.message');
+    reportMessageId = messageElement.getAttribute('data-message-id');
+    document.getElementById('reportPreview').textContent = messageElement.querySelector('.message-text').textContent;
+    reportForm.reset();
+    reportDialog.showModal();
+});
+
+document.getElementById('reportCancel').addEventListener('click', () => {
+    reportDialog.close();
+});
+
+reportForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    socket.emit('report-message', {
+        messageId: reportMessageId,
+        reason: document.getElementById('reportReason').value,
+        details: document.getElementById('reportDetails').value
+    }, (response) => {
+        if (!response.success) {
+            alert('Error: ' + response.message);
+            return;
+        }
+
+        reportDialog.close();
+        addSystemMessage('🚩 Report sent to the moderators', new Date().toISOString());
+    });
+});
+
+messagesContainer.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-mod-action]');
+    if (!button) {
+        return;
+    }
+
+    const action = button.getAttribute('data-mod-action');
+    const messageId = button.closest('.message').getAttribute('data-message-id');
+
+    if (action === 'delete' && !confirm('Delete this message for everyone?')) {
+        return;
+    }
+
+    socket.emit('moderate-message', { messageId: messageId, action: action }, (response) => {
+        if (!response.success) {
+            alert('Error: ' + response.message);
+        }
+    });
+});
+
+// Poking the author of a message
+messagesContainer.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-poke]');
+    if (!button) {
+        return;
+    }
+
+    const username = button.closest('.message').getAttribute('data-username');
+    button.disabled = true;
+
+    try {
+        const response = await fetch('/send-poke', {
+            method: 'POST',
+            headers: jsonHeaders(),
+            body: JSON.stringify({ username: username })
+        });
+        const data = await response.json();
+        addSystemMessage(data.success ? data.message : '❌ ' + data.message, new Date().toISOString());
+    } catch (error) {
+        console.error('Poke error:', error);
+        addSystemMessage('❌ Could not send poke', new Date().toISOString());
+    } finally {
+        button.disabled = false;
+    }
+});
+
+// Someone started a direct message with us
+socket.on('room-added', (room) => {
+    addRoomToSidebar(room);
+});
+
+// Handle avatar updates
+socket.on('avatar-updated', (data) => {
+    updateUserAvatarInChat(data.userId, data.newAvatar, data.avatarUrl);
+
+    // If it's the current user, update their avatar in userData
+    if (data.userId === userData.id) {
+        userData.profileAvatar = data.newAvatar;
+        userData.avatarUrl = data.avatarUrl || '';
+    }
+});
+
+// Form submission
+chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const message = messageInput.value.trim();
+    if (message && isConnected) {
+        // Send message to server
+        socket.emit('chat-message', {
+            message: message,
+            roomId: activeRoomId
+        });
+
+        // Clear input
+        messageInput.value = '';
+        sendBtn.disabled = true;
+        sendBtn.textContent = 'Sent';
+
+        setTimeout(() => {
+            sendBtn.disabled = false;
+            sendBtn.textContent = 'Send';
+        }, 1000);
+    }
+});
+
+// Load the previous page when the user scrolls near the top
+messagesContainer.addEventListener('scroll', () => {
+    if (messagesContainer.scrollTop < 50) {
+        loadOlderMessages();
+    }
+});
+
+// Input validation
+messageInput.addEventListener('input', () => {
+    const message = messageInput.value.trim();
+    sendBtn.disabled = !message || !isConnected;
+});
+
+// Functions
+function updateConnectionStatus(status, text) {
+    connectionIndicator.className = `connection-status ${status}`;
+    connectionStatus.textContent = text;
+
+    if (status === 'connected') {
+        setTimeout(() => {
+            connectionIndicator.style.display = 'none';
+        }, 3000);
+    } else {
+        connectionIndicator.style.display = 'block';
+    }
+}
+
+function loadOlderMessages() {
+    if (!hasMoreHistory || loadingHistory || !isConnected) {
+        return;
+    }
+
+    const oldestMessage = messagesContainer.querySelector('.message[data-message-id]');
+    if (!oldestMessage) {
+        return;
+    }
+
+    loadingHistory = true;
+    historyStatus.textContent = 'Loading older messages...';
+
+    socket.emit('load-history', {
+        roomId: activeRoomId,
+        before: oldestMessage.getAttribute('data-message-id')
+    }, (response) => {
+        loadingHistory = false;
+
+        if (!response || !response.success) {
+            historyStatus.textContent = 'Could not load older messages';
+            return;
+        }
+
+        // Keep the visible messages in place while older ones are added above
+        const previousHeight = messagesContainer.scrollHeight;
+        const fragment = document.createDocumentFragment();
+        response.messages.forEach(messageData => {
+            fragment.appendChild(createMessageElement(messageData));
+        });
+        messagesContainer.insertBefore(fragment, oldestMessage);
+        messagesContainer.scrollTop += messagesContainer.scrollHeight - previousHeight;
+
+        hasMoreHistory = response.hasMore;
+        historyStatus.textContent = hasMoreHistory ? 'Scroll up for older messages' : 'Beginning of conversation';
+        historyStatus.hidden = false;
+    });
+}
+
+function addMessageToChat(messageData) {
+    messagesContainer.insertBefore(createMessageElement(messageData), typingIndicator);
+}
+
+function createMessageElement(messageData) {
+    const messageDiv = document.createElement('div');
+    const isOwn = messageData.user_id === userData.id;
+
+    messageDiv.className = `message ${isOwn ? 'own' : ''} ${messageData.is_hidden ? 'hidden-message' : ''}`;
+    messageDiv.setAttribute('data-message-id', messageData.id);
+    messageDiv.setAttribute('data-user-id', messageData.user_id);
+    messageDiv.setAttribute('data-username', messageData.username);
+
+    const timestamp = new Date(messageData.created_at).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    messageDiv.innerHTML = `
+        <div class="message-header">
+            <div class="message-user-info">
+                <span class="message-avatar">${avatarHtml(messageData.avatar_url, messageData.profile_avatar)}</span>
+                <a href="/users/${encodeURIComponent(messageData.username)}" class="username">
+                    ${escapeHtml(messageData.display_name)}
+                </a>
+            </div>
+            <span class="timestamp">${timestamp}</span>
+            <span class="message-actions">
+                ${isOwn ? '' : `
+                    <button type="button" data-poke>👋</button>
+                    <button type="button" data-report title="Report message">🚩</button>
+                `}
+                ${userData.isModerator ? `
+                    <button type="button" data-mod-action="hide" title="Hide message">🙈</button>
+                    <button type="button" data-mod-action="delete" title="Delete message">🗑️</button>
+                ` : ''}
+            </span>
+        </div>
+        <div class="message-text">${messageData.message_html || escapeHtml(messageData.message)}</div>
+    `;
+    messageDiv.querySelector('.username').style.color = messageData.profile_color || '#000000';
+
+    const pokeButton = messageDiv.querySelector('[data-poke]');
+    if (pokeButton) {
+        pokeButton.title = `Poke ${messageData.display_name}`;
+    }
+
+    return messageDiv;
+}
+
+// text is plain text: it often holds names and messages other people chose
+function addSystemMessage(text, timestamp) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = 'message system';
+
+    const time = new Date(timestamp).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+
+    messageDiv.textContent = `${text} at ${time}`;
+    messagesContainer.insertBefore(messageDiv, typingIndicator);
+    scrollToBottom();
+}
+
+function incrementUnread(roomId) {
+    const badge = document.querySelector(`.room-link[data-room-id="${roomId}"] .unread-badge`);
+    if (badge) {
+        badge.textContent = (parseInt(badge.textContent) || 0) + 1;
+        badge.hidden = false;
+    }
+}
+
+function addRoomToSidebar(room) {
+    if (document.querySelector(`.room-link[data-room-id="${room.id}"]`)) {
+        return;
+    }
+
+    const list = document.getElementById(room.type === 'direct' ? 'directRoomList' : 'publicRoomList');
+    const item = document.createElement('li');
+    item.innerHTML = `
+        <a href="/chat?room=${room.id}" class="room-link" data-room-id="${room.id}">
+            <span class="room-label">${escapeHtml(room.label)}</span>
+            <span class="unread-badge" hidden>0</span>
+        </a>
+    `;
+    list.appendChild(item);
+}
+
+function scrollToBottom() {
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
+// Safe in element text and in quoted attributes
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// An uploaded avatar image if there is one, otherwise the emoji
+function avatarHtml(avatarUrl, emoji) {
+    if (avatarUrl) {
+        return `<img src="${escapeHtml(avatarUrl)}" alt="" class="avatar-image">`;
+    }
+    return escapeHtml(emoji || '👤');
+}
+
+function updateUserAvatarInChat(userId, newAvatar, avatarUrl) {
+    // Find all messages from this user and update their avatars
+    const userMessages = messagesContainer.querySelectorAll(`[data-user-id="${userId}"]`);
+
+    userMessages.forEach(messageElement => {
+        const avatarElement = messageElement.querySelector('.message-avatar');
+        if (avatarElement) {
+            avatarElement.innerHTML = avatarHtml(avatarUrl, newAvatar);
+        }
+    });
+}
+
+// Server-rendered messages get their authors' colors
+applyProfileColors(messagesContainer);
+
+// Initial scroll to bottom
+scrollToBottom();
+
+// Focus on input
+messageInput.focus();
+
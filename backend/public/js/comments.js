@@ -0,0 +1,100 @@
+// public/js/comments.js
+// Buttons and report forms in the comment list (views/partials/comment.hbs).
+// Listeners sit on the document, so one copy of this module serves every comment.
+import { jsonHeaders } from './csrf.js';
+
+function deleteComment(commentId) {
+    if (confirm('Are you sure you want to delete this comment? This action cannot be undone.')) {
+        fetch(`/comments/delete/${commentId}`, {
+            method: 'DELETE',
+            headers: jsonHeaders()
+        })
+        .then(response => response.json())
+        .then(data => {
+            if (data.success) {
+                // Reload the page to show updated comments
+                window.location.reload();
+            } else {
+                alert('Error deleting comment: ' + data.message);
+            }
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            alert('Error deleting comment');
+        });
+    }
+}
+
+function toggleReportForm(commentId) {
+    const form = document.getElementById(`report-form-${commentId}`);
+    form.hidden = !form.hidden;
+}
+
+function submitReport(form, commentId) {
+    fetch(`/comments/report/${commentId}`, {
+        method: 'POST',
+        headers: jsonHeaders(),
+        body: JSON.stringify({
+            reason: form.elements.reason.value,
+            details: form.elements.details.value
+        })
+    })
+    .then(response => response.json())
+    .then(data => {
+        alert(data.message);
+
+        if (data.success) {
+            form.reset();
+            form.hidden = true;
+
+            // Auto-hidden comments are replaced by a placeholder on reload
+            if (data.autoHidden) {
+                window.location.reload();
+            }
+        }
+    })
+    .catch(error => {
+        console.error('Error:', error);
+        alert('Error sending report');
+    });
+}
+
+function toggleReplies(commentId, button) {
+    const replies = document.getElementById(`replies-${commentId}`);
+    const count = button.getAttribute('data-reply-count');
+    const label = count === '1' ? 'reply' : 'replies';
+
+    if (replies.classList.toggle('collapsed')) {
+        button.textContent = `➕ Show ${count} ${label}`;
+    } else {
+        button.textContent = `➖ Hide ${count} ${label}`;
+    }
+}
+
+document.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-comment-action]');
+    if (!button) {
+        return;
+    }
+
+    const commentId = button.getAttribute('data-comment-id');
+    switch (button.getAttribute('data-comment-action')) {
+        case 'delete':
+            deleteComment(commentId);
+            break;
+        case 'report':
+            toggleReportForm(commentId);
+            break;
+        case 'replies':
+            toggleReplies(commentId, button);
+            break;
+    }
+});
+
+document.addEventListener('submit', (e) => {
+    const form = e.target.closest('.report-form');
+    if (form) {
+        e.preventDefault();
+        submitReport(form, form.getAttribute('data-comment-id'));
+    }
+});
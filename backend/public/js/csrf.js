@@ -0,0 +1,15 @@
+// public/js/csrf.js
+// Pages carry the session's CSRF token in their forms' hidden _csrf fields
+// (the navbar's logout form has one on every page for logged-in users).
+// fetch() calls send it back in the X-CSRF-Token header.
+export function csrfToken() {
+    const field = document.querySelector('input[name="_csrf"]');
+    return field ? field.value : '';
+}
+
+export function jsonHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': csrfToken()
+    };
+}
@@ -0,0 +1,42 @@
+// public/js/login.js
+import { jsonHeaders } from './csrf.js';
+
+// Forgot password form handling
+const forgotForm = document.getElementById('forgotPasswordForm');
+if (forgotForm) {
+    forgotForm.addEventListener('submit', async function(e) {
+        e.preventDefault();
+
+        const email = document.getElementById('resetEmail').value;
+        const messageDiv = document.getElementById('resetMessage');
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+
+        // Show loading state
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Sending...';
+        messageDiv.hidden = true;
+
+        try {
+            const response = await fetch('/api/auth/forgot-password', {
+                method: 'POST',
+                headers: jsonHeaders(),
+                body: JSON.stringify({ email: email })
+            });
+
+            const result = await response.json();
+
+            messageDiv.className = result.success ? 'reset-message success' : 'reset-message error';
+            messageDiv.textContent = result.message;
+            if (result.success) {
+                document.getElementById('resetEmail').value = '';
+            }
+        } catch (error) {
+            messageDiv.className = 'reset-message error';
+            messageDiv.textContent = 'Error sending reset email. Please try again.';
+        } finally {
+            messageDiv.hidden = false;
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Send Reset Link';
+        }
+    });
+}
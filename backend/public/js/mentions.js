@@ -0,0 +1,134 @@
+// public/js/mentions.js
+// @mention picker: typing @ and a few letters in a field marked data-mentions
+// suggests matching users; arrow keys pick one, Enter or Tab inserts it.
+const picker = document.getElementById('mentionPicker');
+let field = null;
+let suggestions = [];
+let activeIndex = 0;
+let lookupTimer = null;
+
+// The @word being typed just before the cursor, if any
+function currentMention(input) {
+  const beforeCursor = input.value.slice(0, input.selectionStart);
+  const match = beforeCursor.match(/(^|[^\w@.])@([A-Za-z0-9_.-]{1,50})$/);
+  return match ? { query: match[2], start: beforeCursor.length - match[2].length - 1 } : null;
+}
+
+function closePicker() {
+  picker.hidden = true;
+  suggestions = [];
+}
+
+function showSuggestions(users) {
+  suggestions = users;
+  activeIndex = 0;
+  picker.innerHTML = '';
+
+  if (users.length === 0) {
+    return closePicker();
+  }
+
+  users.forEach(function(user, i) {
+    const item = document.createElement('li');
+    if (user.avatarUrl) {
+      const image = document.createElement('img');
+      image.src = user.avatarUrl;
+      image.alt = '';
+      image.className = 'avatar-image';
+      item.appendChild(image);
+      item.appendChild(document.createTextNode(` ${user.displayName} `));
+    } else {
+      item.textContent = `${user.avatar} ${user.displayName} `;
+    }
+    const username = document.createElement('span');
+    username.className = 'mention-username';
+    username.textContent = '@' + user.username;
+    item.appendChild(username);
+    item.classList.toggle('active', i === activeIndex);
+
+    // mousedown rather than click so the field doesn't lose focus first
+    item.addEventListener('mousedown', function(e) {
+      e.preventDefault();
+      insertMention(user.username);
+    });
+    picker.appendChild(item);
+  });
+
+  const rect = field.getBoundingClientRect();
+  picker.style.left = rect.left + 'px';
+  picker.hidden = false;
+
+  // Open below the field, or above it when there's no room (like the chat box)
+  const below = rect.bottom + 4;
+  picker.style.top = (below + picker.offsetHeight > window.innerHeight ? rect.top - picker.offsetHeight - 4 : below) + 'px';
+}
+
+function highlight(index) {
+  activeIndex = (index + suggestions.length) % suggestions.length;
+  Array.from(picker.children).forEach(function(item, i) {
+    item.classList.toggle('active', i === activeIndex);
+  });
+}
+
+function insertMention(username) {
+  const mention = currentMention(field);
+  if (mention) {
+    const after = field.value.slice(field.selectionStart);
+    const inserted = '@' + username + ' ';
+    field.value = field.value.slice(0, mention.start) + inserted + after;
+    const cursor = mention.start + inserted.length;
+    field.setSelectionRange(cursor, cursor);
+    field.dispatchEvent(new Event('input'));
+  }
+  closePicker();
+  field.focus();
+}
+
+async function lookup(query) {
+  try {
+    const response = await fetch('/users/suggest?q=' + encodeURIComponent(query));
+    const data = await response.json();
+
+    // Ignore answers for something the user has already typed past
+    const mention = currentMention(field);
+    if (data.success && mention && mention.query === query) {
+      showSuggestions(data.users);
+    }
+  } catch (error) {
+    console.error('Mention lookup error:', error);
+  }
+}
+
+document.querySelectorAll('[data-mentions]').forEach(function(input) {
+  input.addEventListener('input', function() {
+    field = input;
+    const mention = currentMention(input);
+    clearTimeout(lookupTimer);
+
+    if (!mention) {
+      return closePicker();
+    }
+    lookupTimer = setTimeout(function() {
+      lookup(mention.query);
+    }, 150);
+  });
+
+  input.addEventListener('keydown', function(e) {
+    if (picker.hidden || field !== input) {
+      return;
+    }
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      highlight(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      // Stops Enter from also sending the chat message
+      e.preventDefault();
+      insertMention(suggestions[activeIndex].username);
+    } else if (e.key === 'Escape') {
+      closePicker();
+    }
+  });
+
+  input.addEventListener('blur', closePicker);
+});
@@ -0,0 +1,8 @@
+// public/js/moderation.js
+// Permanent bans have no length (only loaded for admins, who get the ban form)
+const banType = document.getElementById('banType');
+const banDays = document.getElementById('banDays');
+
+banType.addEventListener('change', () => {
+    banDays.disabled = banType.value === 'ban';
+});
@@ -0,0 +1,29 @@
+// public/js/notifications.js
+// Live notifications: keep the bell count current and pop up new ones
+const countBadge = document.getElementById('notificationCount');
+const toasts = document.getElementById('notificationToasts');
+const notificationSocket = io();
+
+function setUnreadCount(count) {
+  countBadge.textContent = count;
+  countBadge.hidden = count === 0;
+}
+
+notificationSocket.on('notification', function(notification) {
+  setUnreadCount(notification.unreadCount);
+
+  const toast = document.createElement('a');
+  toast.className = 'notification-toast';
+  toast.href = `/notifications/${notification.id}/open`;
+  toast.textContent = '🔔 ' + notification.message;
+  toasts.appendChild(toast);
+
+  setTimeout(function() {
+    toast.remove();
+  }, 6000);
+});
+
+// Notifications were read in another tab
+notificationSocket.on('notifications-read', function(data) {
+  setUnreadCount(data.unreadCount);
+});
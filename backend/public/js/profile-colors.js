@@ -0,0 +1,12 @@
+// public/js/profile-colors.js
+// Users pick their own profile color, and the Content-Security-Policy doesn't
+// allow style="" attributes, so colored names carry data-profile-color (or
+// data-profile-border-color) and get the color set here instead.
+export function applyProfileColors(root = document) {
+    root.querySelectorAll('[data-profile-color]').forEach(element => {
+        element.style.color = element.getAttribute('data-profile-color');
+    });
+    root.querySelectorAll('[data-profile-border-color]').forEach(element => {
+        element.style.borderColor = element.getAttribute('data-profile-border-color');
+    });
+}
@@ -0,0 +1,21 @@
+// public/js/profile.js
+// Password confirmation validation
+document.getElementById('confirmPassword').addEventListener('input', function() {
+    const newPassword = document.getElementById('newPassword').value;
+    const confirmPassword = this.value;
+
+    if (newPassword !== confirmPassword) {
+        this.setCustomValidity('Passwords do not match');
+    } else {
+        this.setCustomValidity('');
+    }
+});
+
+// Display success message for a few seconds
+const successAlert = document.querySelector('.alert-success');
+if (successAlert) {
+    setTimeout(() => {
+        successAlert.style.opacity = '0';
+        setTimeout(() => successAlert.remove(), 300);
+    }, 5000);
+}
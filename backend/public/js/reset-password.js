@@ -0,0 +1,21 @@
+// public/js/reset-password.js
+// Password confirmation validation
+const resetForm = document.getElementById('resetPasswordForm');
+if (resetForm) {
+    resetForm.addEventListener('submit', function(e) {
+        const password = document.getElementById('password').value;
+        const confirmPassword = document.getElementById('confirmPassword').value;
+
+        if (password !== confirmPassword) {
+            e.preventDefault();
+            alert('Passwords do not match!');
+            return false;
+        }
+
+        if (password.length < 8) {
+            e.preventDefault();
+            alert('Password must be at least 8 characters long!');
+            return false;
+        }
+    });
+}
@@ -0,0 +1,29 @@
+// public/js/userprofile.js
+import { jsonHeaders } from './csrf.js';
+import { applyProfileColors } from './profile-colors.js';
+
+applyProfileColors();
+
+// Poke this user without leaving the page
+const pokeBtn = document.getElementById('pokeBtn');
+if (pokeBtn) {
+    pokeBtn.addEventListener('click', async () => {
+        const status = document.getElementById('pokeStatus');
+        pokeBtn.disabled = true;
+
+        try {
+            const response = await fetch('/send-poke', {
+                method: 'POST',
+                headers: jsonHeaders(),
+                body: JSON.stringify({ username: pokeBtn.getAttribute('data-username') })
+            });
+            const data = await response.json();
+            status.textContent = data.success ? data.message : '❌ ' + data.message;
+        } catch (error) {
+            console.error('Poke error:', error);
+            status.textContent = '❌ Could not send poke';
+        } finally {
+            pokeBtn.disabled = false;
+        }
+    });
+}
@@ -0,0 +1,461 @@
+// routes/api.js
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const db = require('../database');
+const { getCurrentUser } = require('../modules/current-user');
+const { isThreadLocked } = require('../modules/moderation');
+const { addComment, editComment, deleteComment } = require('../modules/comments');
+const { linkMentions } = require('../modules/mentions');
+const { avatarUrl } = require('../modules/avatars');
+const { isMember, getUserRooms, getRoomMessages } = require('../modules/chat-rooms');
+const { getPublicProfile, updateBio, updateDisplayName, updateAvatarEmoji, broadcastAvatarChange } = require('../modules/user-profiles');
+const { sendApiError, encodeCursor, decodeCursor, parseLimit } = require('../modules/api-helpers');
+const { requireScope } = require('../modules/auth-middleware');
+const { getCsrfToken } = require('../modules/csrf');
+const { rateLimit, commentLimiter } = require('../modules/rate-limit');
+
+// Comment rows with their author and how many direct replies they have
+const COMMENT_SELECT = `
+    SELECT c.*, u.username, u.display_name, u.profile_color, u.profile_avatar, u.avatar_image,
+           (SELECT COUNT(*) FROM comments r WHERE r.parent_id = c.id AND r.is_pruned = 0) AS reply_count
+    FROM comments c
+    JOIN users u ON c.user_id = u.id
+`;
+
+/**
+ * Middleware for endpoints that need a logged-in user (by session or API
+ * token); sets req.user
+ */
+function requireApiAuth(req, res, next) {
+    const user = getCurrentUser(req);
+    if (!user.loggedIn) {
+        return sendApiError(res, 401, 'unauthorized', 'You must be logged in');
+    }
+    req.user = user;
+    next();
+}
+
+/**
+ * The current user for endpoints anyone can read
+ */
+function loadUser(req, res, next) {
+    req.user = getCurrentUser(req);
+    next();
+}
+
+// SQLite timestamps are UTC without a zone; the API always speaks ISO 8601
+function toIsoDate(value) {
+    return value ? new Date(value.replace(' ', 'T') + 'Z').toISOString() : null;
+}
+
+function parseId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Read ?cursor= as [createdAt, id]. Sends a 400 and returns undefined if the
+ * cursor is not one we handed out.
+ */
+function readCursor(req, res) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === null) {
+        return null;
+    }
+    if (!Array.isArray(cursor) || cursor.length !== 2 || typeof cursor[0] !== 'string' || !Number.isInteger(cursor[1])) {
+        sendApiError(res, 400, 'invalid_cursor', 'The cursor is not valid. Start again without one.');
+        return undefined;
+    }
+    return cursor;
+}
+
+function serializeAuthor(row) {
+    return {
+        id: row.user_id,
+        username: row.username,
+        displayName: row.display_name || row.username,
+        profileColor: row.profile_color || '#000000',
+        profileAvatar: row.profile_avatar || '👤',
+        avatarUrl: avatarUrl(row.avatar_image)
+    };
+}
+
+// Hidden comments are only readable by moderators; deleted ones by nobody
+function serializeComment(row, user) {
+    const isDeleted = !!row.is_deleted;
+    const isHidden = !isDeleted && !!row.is_hidden;
+    const isRemoved = isDeleted || (isHidden && !user.isModerator);
+
+    return {
+        id: row.id,
+        parentId: row.parent_id,
+        author: isRemoved ? null : serializeAuthor(row),
+        text: isRemoved ? null : row.text,
+        textHtml: isRemoved ? null : linkMentions(row.text),
+        isEdited: !isRemoved && !!row.is_edited,
+        editCount: row.edit_count || 0,
+        isDeleted: isDeleted,
+        isHidden: isHidden,
+        isLocked: !!row.is_locked,
+        replyCount: row.reply_count,
+        createdAt: toIsoDate(row.created_at),
+        updatedAt: toIsoDate(row.updated_at)
+    };
+}
+
+function serializeMessage(row) {
+    return {
+        id: row.id,
+        roomId: row.room_id,
+        author: serializeAuthor(row),
+        text: row.message,
+        textHtml: row.message_html,
+        isHidden: !!row.is_hidden,
+        createdAt: toIsoDate(row.created_at)
+    };
+}
+
+function serializeMe(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        displayName: user.displayName || user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        pendingEmail: user.pendingEmail || null,
+        bio: user.bio || null,
+        profileColor: user.profileColor || '#000000',
+        profileAvatar: user.profileAvatar || '👤',
+        avatarUrl: user.avatarUrl,
+        role: user.role,
+        unreadNotifications: user.unreadNotifications
+    };
+}
+
+function getComment(commentId) {
+    return db.prepare(`${COMMENT_SELECT} WHERE c.id = ? AND c.is_pruned = 0`).get(commentId);
+}
+
+// Comment text from a request body, or an error for the details list
+function readCommentText(body) {
+    if (typeof body.text !== 'string' || body.text.trim().length === 0) {
+        return { error: { field: 'text', message: 'Comment text cannot be empty' } };
+    }
+    return { text: body.text.trim() };
+}
+
+/**
+ * GET /openapi.json - OpenAPI description of this API
+ */
+router.get('/openapi.json', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'openapi.json'));
+});
+
+/**
+ * GET /csrf-token - The token session-cookie clients send as X-CSRF-Token
+ * on POST, PATCH and DELETE. Requests made with an API token don't need one.
+ */
+router.get('/csrf-token', requireApiAuth, (req, res) => {
+    res.json({ data: { csrfToken: req.apiToken ? null : getCsrfToken(req) } });
+});
+
+/**
+ * GET /comments - Top-level comments, newest first (?limit=&cursor=)
+ */
+router.get('/comments', requireScope('read'), loadUser, (req, res) => {
+    const cursor = readCursor(req, res);
+    if (cursor === undefined) {
+        return;
+    }
+    const limit = parseLimit(req.query.limit);
+
+    // Fetch one extra row to find out whether there is another page
+    const rows = db.prepare(`
+        ${COMMENT_SELECT}
+        WHERE c.parent_id IS NULL AND c.is_pruned = 0
+          ${cursor ? 'AND (c.created_at, c.id) < (?, ?)' : ''}
+        ORDER BY c.created_at DESC, c.id DESC
+        LIMIT ?
+    `).all(...(cursor || []), limit + 1);
+
+    const page = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+    const last = page[page.length - 1];
+
+    res.json({
+        data: page.map(row => serializeComment(row, req.user)),
+        pagination: {
+            nextCursor: hasMore ? encodeCursor([last.created_at, last.id]) : null,
+            hasMore: hasMore
+        }
+    });
+});
+
+/**
+ * GET /comments/:id - One comment
+ */
+router.get('/comments/:id', requireScope('read'), loadUser, (req, res) => {
+    const comment = getComment(parseId(req.params.id));
+    if (!comment) {
+        return sendApiError(res, 404, 'not_found', 'Comment not found');
+    }
+
+    res.json({ data: serializeComment(comment, req.user) });
+});
+
+/**
+ * GET /comments/:id/replies - Direct replies to a comment, oldest first (?limit=&cursor=)
+ */
+router.get('/comments/:id/replies', requireScope('read'), loadUser, (req, res) => {
+    const parent = getComment(parseId(req.params.id));
+    if (!parent) {
+        return sendApiError(res, 404, 'not_found', 'Comment not found');
+    }
+
+    const cursor = readCursor(req, res);
+    if (cursor === undefined) {
+        return;
+    }
+    const limit = parseLimit(req.query.limit);
+
+    const rows = db.prepare(`
+        ${COMMENT_SELECT}
+        WHERE c.parent_id = ? AND c.is_pruned = 0
+          ${cursor ? 'AND (c.created_at, c.id) > (?, ?)' : ''}
+        ORDER BY c.created_at ASC, c.id ASC
+        LIMIT ?
+    `).all(parent.id, ...(cursor || []), limit + 1);
+
+    const page = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+    const last = page[page.length - 1];
+
+    res.json({
+        data: page.map(row => serializeComment(row, req.user)),
+        pagination: {
+            nextCursor: hasMore ? encodeCursor([last.created_at, last.id]) : null,
+            hasMore: hasMore
+        }
+    });
+});
+
+/**
+ * POST /comments - Post a comment, or a reply with parentId
+ */
+router.post('/comments', requireApiAuth, requireScope('comments:write'), rateLimit(commentLimiter, { key: req => req.user.id }), (req, res) => {
+    const body = req.body || {};
+    const details = [];
+
+    const { text, error } = readCommentText(body);
+    if (error) {
+        details.push(error);
+    }
+
+    const hasParent = body.parentId !== undefined && body.parentId !== null;
+    const parentId = hasParent ? parseId(body.parentId) : null;
+    if (hasParent && !parentId) {
+        details.push({ field: 'parentId', message: 'parentId must be a comment id' });
+    }
+
+    if (details.length > 0) {
+        return sendApiError(res, 422, 'validation_error', 'The comment could not be posted', details);
+    }
+
+    let parent = null;
+    if (parentId) {
+        parent = db.prepare('SELECT id, user_id, is_deleted, is_hidden FROM comments WHERE id = ?').get(parentId);
+
+        if (!parent || parent.is_deleted || parent.is_hidden) {
+            return sendApiError(res, 404, 'not_found', 'Parent comment not found');
+        }
+        if (isThreadLocked(parent.id)) {
+            return sendApiError(res, 403, 'thread_locked', 'This thread is locked');
+        }
+    }
+
+    const commentId = addComment(req.io, req.user, text, parent);
+
+    res.status(201)
+        .location(`${req.baseUrl}/comments/${commentId}`)
+        .json({ data: serializeComment(getComment(commentId), req.user) });
+});
+
+/**
+ * PATCH /comments/:id - Edit your own comment
+ */
+router.patch('/comments/:id', requireApiAuth, requireScope('comments:write'), (req, res) => {
+    const comment = getComment(parseId(req.params.id));
+    if (!comment || comment.is_deleted) {
+        return sendApiError(res, 404, 'not_found', 'Comment not found');
+    }
+    if (comment.user_id !== req.user.id) {
+        return sendApiError(res, 403, 'forbidden', 'You can only edit your own comments');
+    }
+
+    const { text, error } = readCommentText(req.body || {});
+    if (error) {
+        return sendApiError(res, 422, 'validation_error', 'The comment could not be saved', [error]);
+    }
+
+    editComment(req.io, req.user, comment, text);
+
+    res.json({ data: serializeComment(getComment(comment.id), req.user) });
+});
+
+/**
+ * DELETE /comments/:id - Delete your own comment (moderators can delete any)
+ */
+router.delete('/comments/:id', requireApiAuth, requireScope('comments:write'), (req, res) => {
+    const comment = getComment(parseId(req.params.id));
+    if (!comment || comment.is_deleted) {
+        return sendApiError(res, 404, 'not_found', 'Comment not found');
+    }
+    if (comment.user_id !== req.user.id && !req.user.isModerator) {
+        return sendApiError(res, 403, 'forbidden', 'You can only delete your own comments');
+    }
+
+    deleteComment(req.user, comment);
+
+    res.status(204).end();
+});
+
+/**
+ * GET /rooms - Chat rooms you belong to, with unread counts
+ */
+router.get('/rooms', requireApiAuth, requireScope('chat'), (req, res) => {
+    res.json({
+        data: getUserRooms(req.user.id).map(room => ({
+            id: room.id,
+            name: room.name,
+            type: room.type,
+            directWith: room.type === 'direct' && room.dm_username
+                ? { username: room.dm_username, displayName: room.dm_display_name || room.dm_username }
+                : null,
+            unreadCount: room.unread_count
+        }))
+    });
+});
+
+/**
+ * GET /rooms/:id/messages - Chat history, newest page first, each page oldest first (?limit=&cursor=)
+ */
+router.get('/rooms/:id/messages', requireApiAuth, requireScope('chat'), (req, res) => {
+    const roomId = parseId(req.params.id);
+    if (!roomId || !isMember(roomId, req.user.id)) {
+        return sendApiError(res, 404, 'not_found', 'Room not found');
+    }
+
+    // Chat history pages go back from the oldest message already seen
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor === undefined || (cursor && (!Array.isArray(cursor) || !Number.isInteger(cursor[0])))) {
+        return sendApiError(res, 400, 'invalid_cursor', 'The cursor is not valid. Start again without one.');
+    }
+
+    const { messages, hasMore } = getRoomMessages(roomId, cursor ? cursor[0] : null, parseLimit(req.query.limit), req.user.isModerator);
+
+    res.json({
+        data: messages.map(serializeMessage),
+        pagination: {
+            nextCursor: hasMore ? encodeCursor([messages[0].id]) : null,
+            hasMore: hasMore
+        }
+    });
+});
+
+/**
+ * GET /me - Your own profile
+ */
+router.get('/me', requireApiAuth, requireScope('read'), (req, res) => {
+    res.json({ data: serializeMe(req.user) });
+});
+
+/**
+ * PATCH /me - Update your display name, bio or avatar emoji
+ */
+router.patch('/me', requireApiAuth, requireScope('profile:write'), (req, res) => {
+    const body = req.body || {};
+    const updaters = {
+        displayName: updateDisplayName,
+        bio: updateBio,
+        avatar: updateAvatarEmoji
+    };
+
+    const fields = Object.keys(updaters).filter(field => body[field] !== undefined);
+    if (fields.length === 0) {
+        return sendApiError(res, 422, 'validation_error', 'Nothing to update. Send displayName, bio or avatar.');
+    }
+
+    // Every field is checked before anything is saved, so a bad value changes nothing
+    const details = [];
+    const applyChanges = db.transaction(() => {
+        fields.forEach(field => {
+            const value = body[field];
+            if (value !== null && typeof value !== 'string') {
+                details.push({ field: field, message: `${field} must be a string` });
+                return;
+            }
+
+            const result = updaters[field](req.user.id, value);
+            if (result.error) {
+                details.push({ field: field, message: result.error });
+            }
+        });
+
+        if (details.length > 0) {
+            throw details;
+        }
+    });
+
+    try {
+        applyChanges();
+    } catch (error) {
+        if (error === details) {
+            return sendApiError(res, 422, 'validation_error', 'Your profile could not be updated', details);
+        }
+        throw error;
+    }
+
+    const updatedUser = getCurrentUser(req);
+
+    // Token requests have no login session to keep in step
+    if (fields.includes('displayName') && !req.apiToken) {
+        req.session.displayName = updatedUser.displayName;
+    }
+    if (fields.includes('avatar')) {
+        broadcastAvatarChange(req.io, updatedUser);
+    }
+
+    res.json({ data: serializeMe(updatedUser) });
+});
+
+/**
+ * GET /users/:username - Someone's public profile
+ */
+router.get('/users/:username', requireScope('read'), (req, res) => {
+    const profile = getPublicProfile(req.params.username);
+    if (!profile) {
+        return sendApiError(res, 404, 'not_found', 'User not found');
+    }
+
+    res.json({
+        data: {
+            id: profile.id,
+            username: profile.username,
+            displayName: profile.displayName,
+            profileColor: profile.profileColor,
+            profileAvatar: profile.profileAvatar,
+            avatarUrl: profile.avatarUrl,
+            bio: profile.bio || null,
+            role: profile.role,
+            joinedAt: toIsoDate(profile.joinedAt)
+        }
+    });
+});
+
+// Anything else under the API is a JSON 404, not the HTML one
+router.use((req, res) => {
+    sendApiError(res, 404, 'not_found', `No API endpoint for ${req.method} ${req.originalUrl.split('?')[0]}`);
+});
+
+module.exports = router;
@@ -5,13 +5,26 @@ const path = require('path');
 const db = require('../database');
 const { validatePassword, hashPassword, comparePassword } = require('../modules/password-utils');
 const { sendPasswordResetEmail } = require('../modules/sendEmail');
+const { disconnectSessionSockets } = require('../modules/socket-auth');
+const { getActiveBan } = require('../modules/bans');
+const { sendVerificationLink, confirmEmail } = require('../modules/email-verification');
+const { getCurrentUser } = require('../modules/current-user');
+const { verifySecondFactor, countRecoveryCodes } = require('../modules/two-factor');
+const { recordSessionClient, revokeOtherSessions } = require('../modules/user-sessions');
+const { rateLimit, tooManyRequests, describeWait, loginIpLimiter, loginAccountLimiter, registerLimiter, forgotPasswordLimiter } = require('../modules/rate-limit');
 const crypto = require('crypto');
 
+// How long a user has to enter their 2FA code after the password step
+const TWO_FACTOR_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
 /**
- * GET /register - Show registration form
+ * GET /register - Show registration form (rendered, so it carries a CSRF token)
  */
 router.get('/register', (req, res) => {
-  res.sendFile(path.join(__dirname, '../public/register.html'));
+  res.render('register', { 
+    user: { loggedIn: false },
+    error: req.query.error
+  });
 });
 
 /**
@@ -30,7 +43,7 @@ router.get('/login', (req, res) => {
 /**
  * POST /register - Register a new user
  */
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit(registerLimiter, { onLimited: renderRegisterLimited }), async (req, res) => {
   try {
     const { username, password, email, displayName } = req.body;
     
@@ -73,6 +86,12 @@ router.post('/register', async (req, res) => {
       // Insert new user into database
       const result = db.prepare('INSERT INTO users (username, password_hash, email, display_name) VALUES (?, ?, ?, ?)').run(username, passwordHash, email, displayName);
       
+      // The account works right away; the address is confirmed from the emailed link
+      const emailResult = await sendVerificationLink(result.lastInsertRowid, email);
+      if (!emailResult.success) {
+        console.error('Failed to send verification email:', emailResult.error);
+      }
+      
       // Redirect to success page with username
       res.redirect(`/public/register-success.html?username=${encodeURIComponent(username)}&userId=${result.lastInsertRowid}`);
       
@@ -103,6 +122,10 @@ router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
     
+    if (refuseRateLimitedLogin(res, username, clientIp)) {
+      return;
+    }
+    
     // Validate input
     if (!username || !password) {
       logLoginAttempt(username || '', clientIp, false, 'missing_credentials');
@@ -117,49 +140,28 @@ router.post('/login', async (req, res) => {
       return res.redirect('/api/auth/login?error=' + encodeURIComponent('Invalid username or password'));
     }
     
-    // Check if account is locked
-    if (user.is_locked && user.lockout_until) {
-      const lockoutEnd = new Date(user.lockout_until);
-      const now = new Date();
-      
-      if (now < lockoutEnd) {
-        logLoginAttempt(username, clientIp, false, 'account_locked');
-        const remainingMinutes = Math.ceil((lockoutEnd - now) / (1000 * 60));
-        return res.redirect('/api/auth/login?error=' + encodeURIComponent(`Account is locked. Try again in ${remainingMinutes} minutes.`));
-      } else {
-        // Lockout period expired, unlock account
-        db.prepare('UPDATE users SET is_locked = FALSE, lockout_until = NULL, failed_login_attempts = 0 WHERE id = ?').run(user.id);
-      }
-    }
-    
     // Compare entered password with stored hash
     const passwordMatch = await comparePassword(password, user.password_hash);
     
     if (!passwordMatch) {
-      handleFailedLogin(user.id, username, clientIp);
+      logLoginAttempt(username, clientIp, false, 'invalid_password');
       return res.redirect('/api/auth/login?error=' + encodeURIComponent('Invalid username or password'));
     }
     
-    // Successful login - reset failed attempts and update last login
-    db.prepare(`
-      UPDATE users 
-      SET last_login = CURRENT_TIMESTAMP, 
-          failed_login_attempts = 0, 
-          is_locked = FALSE, 
-          lockout_until = NULL 
-      WHERE id = ?
-    `).run(user.id);
-    
-    logLoginAttempt(username, clientIp, true, 'success');
+    // Suspended and banned users get an explanation instead of a session
+    const ban = getActiveBan(user.id);
+    if (ban) {
+      logLoginAttempt(username, clientIp, false, 'account_banned');
+      return res.status(403).render('banned', { user: { loggedIn: false }, ban: ban });
+    }
     
-    // Create session
-    req.session.userId = user.id;
-    req.session.username = user.username;
-    req.session.displayName = user.display_name;
-    req.session.isLoggedIn = true;
+    // With 2FA on, the password only gets the user as far as the code prompt
+    if (user.totp_enabled) {
+      req.session.twoFactor = { userId: user.id, startedAt: Date.now() };
+      return res.redirect('/api/auth/login/verify');
+    }
     
-    // Redirect to success page using display name
-    res.redirect(`/public/login-success.html?username=${encodeURIComponent(user.display_name || user.username)}`);
+    completeLogin(req, res, user, clientIp, 'success');
     
   } catch (error) {
     console.error('Login error:', error);
@@ -168,10 +170,81 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * GET /login/verify - Second login step for accounts with 2FA
+ */
+router.get('/login/verify', (req, res) => {
+  if (!req.session.twoFactor) {
+    return res.redirect('/api/auth/login');
+  }
+  
+  res.render('login-verify', {
+    user: { loggedIn: false },
+    error: req.query.error
+  });
+});
+
+/**
+ * POST /login/verify - Check the authenticator or recovery code and finish logging in
+ */
+router.post('/login/verify', async (req, res) => {
+  const clientIp = req.ip || req.connection.remoteAddress || '127.0.0.1';
+  const pending = req.session.twoFactor;
+  
+  if (!pending) {
+    return res.redirect('/api/auth/login');
+  }
+  
+  try {
+    if (Date.now() - pending.startedAt > TWO_FACTOR_TIMEOUT) {
+      delete req.session.twoFactor;
+      return res.redirect('/api/auth/login?error=' + encodeURIComponent('Took too long to enter a code. Please log in again.'));
+    }
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(pending.userId);
+    if (!user) {
+      delete req.session.twoFactor;
+      return res.redirect('/api/auth/login');
+    }
+    
+    // Wrong codes count towards the same limits as wrong passwords
+    if (refuseRateLimitedLogin(res, user.username, clientIp)) {
+      delete req.session.twoFactor;
+      return;
+    }
+    
+    const result = await verifySecondFactor(user.id, req.body.code);
+    if (result.error) {
+      logLoginAttempt(user.username, clientIp, false, 'invalid_2fa_code');
+      return res.redirect('/api/auth/login/verify?error=' + encodeURIComponent(result.error));
+    }
+    
+    delete req.session.twoFactor;
+    
+    const ban = getActiveBan(user.id);
+    if (ban) {
+      logLoginAttempt(user.username, clientIp, false, 'account_banned');
+      return res.status(403).render('banned', { user: { loggedIn: false }, ban: ban });
+    }
+    
+    if (result.method === 'recovery') {
+      console.log(`Recovery code used by ${user.username}, ${countRecoveryCodes(user.id)} left`);
+    }
+    
+    completeLogin(req, res, user, clientIp, result.method === 'recovery' ? 'success_recovery_code' : 'success');
+    
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    logLoginAttempt('', clientIp, false, 'server_error');
+    res.redirect('/public/error.html?message=' + encodeURIComponent('An internal server error occurred. Please try again later.') + '&back=/api/auth/login');
+  }
+});
+
 /**
  * GET /logout - Logout user (GET version for easy link access)
  */
 router.get('/logout', (req, res) => {
+  disconnectSessionSockets(req.io, req.sessionID);
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -185,6 +258,7 @@ router.get('/logout', (req, res) => {
  * POST /logout - Logout user (POST version)
  */
 router.post('/logout', (req, res) => {
+  disconnectSessionSockets(req.io, req.sessionID);
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -195,38 +269,32 @@ router.post('/logout', (req, res) => {
 });
 
 /**
- * GET /me - Get current user info (requires authentication)
+ * GET /me - Old address for the current user's details, which used to go out
+ * in a query string. The JSON API serves them now.
  */
 router.get('/me', (req, res) => {
-  if (!req.session || !req.session.userId) {
-    return res.redirect('/public/error.html?message=' + encodeURIComponent('You must be logged in to view this page.') + '&back=/api/auth/login');
-  }
-  
-  const user = db.prepare(`
-    SELECT id, username, email, display_name, profile_color, profile_avatar, 
-           bio, created_at, last_login 
-    FROM users WHERE id = ?
-  `).get(req.session.userId);
+  res.redirect(301, '/api/v1/me');
+});
+
+// Once every check has passed: start the session
+function completeLogin(req, res, user, clientIp, reason) {
+  db.prepare('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?').run(user.id);
   
-  if (!user) {
-    return res.redirect('/public/error.html?message=' + encodeURIComponent('User not found in database.') + '&back=/');
-  }
+  logLoginAttempt(user.username, clientIp, true, reason);
   
-  // Pass user data as query parameters to the profile page
-  const params = new URLSearchParams({
-    id: user.id,
-    username: user.username,
-    email: user.email || '',
-    display_name: user.display_name || '',
-    profile_color: user.profile_color || '#000000',
-    profile_avatar: user.profile_avatar || '',
-    bio: user.bio || '',
-    created_at: user.created_at || 'N/A',
-    last_login: user.last_login || 'Never'
-  });
+  // Create session
+  req.session.userId = user.id;
+  req.session.username = user.username;
+  req.session.displayName = user.display_name;
+  req.session.isLoggedIn = true;
+  recordSessionClient(req);
+
+  // Forms opened before logging in shouldn't work for the logged-in account
+  delete req.session.csrfToken;
   
-  res.redirect(`/public/profile.html?${params.toString()}`);
-});
+  // Redirect to success page using display name
+  res.redirect(`/public/login-success.html?username=${encodeURIComponent(user.display_name || user.username)}`);
+}
 
 // Helper functions for login attempt tracking
 function logLoginAttempt(username, ipAddress, success, failureReason = null) {
@@ -240,54 +308,59 @@ function logLoginAttempt(username, ipAddress, success, failureReason = null) {
   }
 }
 
-function handleFailedLogin(userId, username, ipAddress) {
-  try {
-    // Increment failed login attempts
-    db.prepare(`
-      UPDATE users 
-      SET failed_login_attempts = failed_login_attempts + 1 
-      WHERE id = ?
-    `).run(userId);
-    
-    // Get updated user info
-    const user = db.prepare('SELECT failed_login_attempts FROM users WHERE id = ?').get(userId);
-    
-    // Check if account should be locked (5 failed attempts)
-    if (user && user.failed_login_attempts >= 5) {
-      const lockoutUntil = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
-      db.prepare(`
-        UPDATE users 
-        SET is_locked = TRUE, lockout_until = ? 
-        WHERE id = ?
-      `).run(lockoutUntil.toISOString(), userId);
-      
-      logLoginAttempt(username, ipAddress, false, 'account_locked_after_attempts');
-    } else {
-      logLoginAttempt(username, ipAddress, false, 'invalid_password');
-    }
-  } catch (error) {
-    console.error('Error handling failed login:', error);
+// Too many failed logins from this address, or for this account from it:
+// shows the login page with a 429 and returns true
+function refuseRateLimitedLogin(res, username, clientIp) {
+  const wait = Math.max(
+    loginIpLimiter.retryAfter(clientIp),
+    loginAccountLimiter.retryAfter({ ipAddress: clientIp, username: username })
+  );
+  if (wait === 0) {
+    return false;
   }
+  
+  logLoginAttempt(username || '', clientIp, false, 'rate_limited');
+  tooManyRequests(res, wait).render('login', {
+    user: { loggedIn: false },
+    error: `Too many failed login attempts. Try again in ${describeWait(wait)}.`
+  });
+  return true;
+}
+
+function renderRegisterLimited(req, res, wait) {
+  res.render('register', {
+    user: { loggedIn: false },
+    error: `Too many sign-ups from your network. Try again in ${describeWait(wait)}.`
+  });
 }
 
 // Forgot Password Route
-router.post('/forgot-password', async (req, res) => {
+// The response is sent before the account is even looked up, so it takes the
+// same time and says the same thing whether or not the address is registered.
+router.post('/forgot-password', rateLimit(forgotPasswordLimiter), (req, res) => {
+    const { email } = req.body;
+    
+    if (!email || typeof email !== 'string') {
+        return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+    
+    res.json({ 
+        success: true, 
+        message: 'If an account with that email exists, a password reset link has been sent.' 
+    });
+    
+    setImmediate(() => queuePasswordReset(email));
+});
+
+// Create a reset token and queue the email, for a verified address only.
+// Runs after the response has gone out.
+async function queuePasswordReset(email) {
     try {
-        const { email } = req.body;
-        
-        if (!email) {
-            return res.status(400).json({ success: false, message: 'Email is required' });
-        }
-        
-        // Check if user exists
         const user = db.prepare('SELECT * FROM users WHERE email = ?').get(email);
         
-        // Always return success to prevent email enumeration attacks
-        if (!user) {
-            return res.json({ 
-                success: true, 
-                message: 'If an account with that email exists, a password reset link has been sent.' 
-            });
+        // Reset links only go to addresses the owner has confirmed
+        if (!user || !user.email_verified) {
+            return;
         }
         
         // Generate secure reset token
@@ -300,29 +373,37 @@ router.post('/forgot-password', async (req, res) => {
             VALUES (?, ?, ?, CURRENT_TIMESTAMP)
         `).run(user.id, resetToken, expirationTime.toISOString());
         
-        // Send reset email
+        // Queue reset email; the outbox worker sends it and retries on failure
         const emailResult = await sendPasswordResetEmail(email, resetToken, expirationTime);
-        
         if (emailResult.success) {
-            console.log(`Password reset email sent to ${email}`);
-            res.json({ 
-                success: true, 
-                message: 'If an account with that email exists, a password reset link has been sent.' 
-            });
+            console.log(`Password reset email queued for ${email}`);
         } else {
-            console.error('Failed to send password reset email:', emailResult.error);
-            res.status(500).json({ 
-                success: false, 
-                message: 'Error sending reset email. Please try again later.' 
-            });
+            console.error('Failed to queue password reset email:', emailResult.error);
         }
         
     } catch (error) {
         console.error('Forgot password error:', error);
-        res.status(500).json({ 
-            success: false, 
-            message: 'Server error. Please try again later.' 
+    }
+}
+
+/**
+ * GET /verify-email?token= - Confirm an email address from the emailed link
+ */
+router.get('/verify-email', (req, res) => {
+    try {
+        const result = confirmEmail(req.query.token);
+        
+        res.render('verify-email', {
+            user: getCurrentUser(req),
+            verified: !result.error,
+            email: result.email,
+            changed: result.changed,
+            tokenExpired: result.error === 'expired',
+            emailTaken: result.error === 'taken'
         });
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.redirect('/public/error.html?message=' + encodeURIComponent('An internal server error occurred. Please try again later.') + '&back=/');
     }
 });
 
@@ -415,8 +496,8 @@ router.post('/reset-password', async (req, res) => {
         // Invalidate the reset token
         db.prepare('DELETE FROM password_reset_tokens WHERE token = ?').run(token);
         
-        // Invalidate all sessions for this user for security
-        db.prepare('DELETE FROM sessions WHERE user_id = ?').run(resetRecord.user_id);
+        // Invalidate all sessions for this user for security, closing their chat connections too
+        revokeOtherSessions(req.io, resetRecord.user_id, null);
         
         console.log(`Password successfully reset for user: ${resetRecord.email}`);
         
@@ -0,0 +1,210 @@
+// routes/chat.js
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { getCurrentUser } = require('../modules/current-user');
+const { requireAuth } = require('../modules/auth-middleware');
+const { userRoom } = require('../modules/socket-auth');
+const { REPORT_REASONS } = require('../modules/reports');
+const {
+    socketRoom,
+    getRoom,
+    isMember,
+    addMember,
+    removeMember,
+    ensureMainRoomMember,
+    getUserRooms,
+    getJoinableRooms,
+    createRoom,
+    getOrCreateDirectRoom,
+    getRoomMessages,
+    markRoomRead
+} = require('../modules/chat-rooms');
+
+// Sidebar label for a room: "#name" for public rooms, the other person for DMs
+function roomLabel(room) {
+    if (room.type === 'direct') {
+        return room.dm_display_name || room.dm_username || 'Direct message';
+    }
+    return `#${room.name}`;
+}
+
+// Back to the chat page. An error is kept in the session and shown once, so
+// nobody can put their own message on the page with a link.
+function chatRedirect(req, res, roomId, error) {
+    if (error) {
+        req.session.chatError = error;
+    }
+    res.redirect(roomId ? `/chat?room=${roomId}` : '/chat');
+}
+
+/**
+ * GET / - Chat page for one room, with the room list in a sidebar
+ */
+router.get('/', requireAuth, (req, res) => {
+    const user = getCurrentUser(req);
+    const mainRoom = ensureMainRoomMember(user.id);
+
+    // Fall back to the main room if the requested room isn't one of ours
+    let activeRoom = getRoom(parseInt(req.query.room) || mainRoom.id);
+    if (!activeRoom || !isMember(activeRoom.id, user.id)) {
+        activeRoom = mainRoom;
+    }
+
+    const errorMessage = req.session.chatError;
+    delete req.session.chatError;
+
+    // Get recent chat messages for this room; older pages load as you scroll up
+    const { messages, hasMore } = getRoomMessages(activeRoom.id, null, undefined, user.isModerator);
+
+    // Opening a room reads it
+    markRoomRead(activeRoom.id, user.id);
+
+    const rooms = getUserRooms(user.id).map(room => ({
+        id: room.id,
+        type: room.type,
+        label: roomLabel(room),
+        unreadCount: room.unread_count,
+        isActive: room.id === activeRoom.id
+    }));
+    const active = rooms.find(room => room.isActive);
+
+    res.render('chat', {
+        user: user,
+        messages: messages,
+        hasMoreHistory: hasMore,
+        activeRoom: {
+            id: activeRoom.id,
+            type: activeRoom.type,
+            label: active ? active.label : roomLabel(activeRoom),
+            canLeave: activeRoom.type === 'public' && activeRoom.id !== mainRoom.id
+        },
+        publicRooms: rooms.filter(room => room.type === 'public'),
+        directRooms: rooms.filter(room => room.type === 'direct'),
+        joinableRooms: getJoinableRooms(user.id),
+        reportReasons: REPORT_REASONS,
+        errorMessage: errorMessage
+    });
+});
+
+/**
+ * GET /history?room=:id&before=:messageId&limit=:n - Older messages as JSON
+ */
+router.get('/history', (req, res) => {
+    if (!req.session || !req.session.userId) {
+        return res.status(401).json({ success: false, message: 'Not logged in' });
+    }
+
+    const roomId = parseInt(req.query.room);
+    if (!roomId || !isMember(roomId, req.session.userId)) {
+        return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    const beforeId = parseInt(req.query.before) || null;
+    const { messages, hasMore } = getRoomMessages(roomId, beforeId, req.query.limit, getCurrentUser(req).isModerator);
+
+    res.json({ success: true, messages: messages, hasMore: hasMore });
+});
+
+/**
+ * POST /rooms - Create a public room
+ */
+router.post('/rooms', requireAuth, (req, res) => {
+    try {
+        const userId = req.session.userId;
+        const { room, error } = createRoom(req.body.name, userId);
+
+        if (error) {
+            return chatRedirect(req, res, null, error);
+        }
+
+        if (req.io) {
+            req.io.in(userRoom(userId)).socketsJoin(socketRoom(room.id));
+        }
+
+        chatRedirect(req, res, room.id);
+    } catch (error) {
+        console.error('Error creating chat room:', error);
+        chatRedirect(req, res, null, 'An error occurred while creating the room');
+    }
+});
+
+/**
+ * POST /rooms/:id/join - Join a public room
+ */
+router.post('/rooms/:id/join', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    const room = getRoom(parseInt(req.params.id));
+
+    if (!room || room.type !== 'public') {
+        return chatRedirect(req, res, null, 'Room not found');
+    }
+
+    addMember(room.id, userId);
+
+    if (req.io) {
+        req.io.in(userRoom(userId)).socketsJoin(socketRoom(room.id));
+    }
+
+    chatRedirect(req, res, room.id);
+});
+
+/**
+ * POST /rooms/:id/leave - Leave a public room (everyone stays in the main room)
+ */
+router.post('/rooms/:id/leave', requireAuth, (req, res) => {
+    const userId = req.session.userId;
+    const room = getRoom(parseInt(req.params.id));
+    const mainRoom = ensureMainRoomMember(userId);
+
+    if (!room || room.type !== 'public' || room.id === mainRoom.id) {
+        return chatRedirect(req, res, null, 'You cannot leave this room');
+    }
+
+    removeMember(room.id, userId);
+
+    if (req.io) {
+        req.io.in(userRoom(userId)).socketsLeave(socketRoom(room.id));
+    }
+
+    chatRedirect(req, res);
+});
+
+/**
+ * POST /dm - Open a direct message conversation with another user
+ */
+router.post('/dm', requireAuth, (req, res) => {
+    try {
+        const user = getCurrentUser(req);
+        const username = (req.body.username || '').trim();
+
+        const otherUser = db.prepare('SELECT id, username, display_name FROM users WHERE username = ?').get(username);
+
+        if (!otherUser) {
+            return chatRedirect(req, res, null, 'No user with that username');
+        }
+
+        if (otherUser.id === user.id) {
+            return chatRedirect(req, res, null, 'You cannot send a direct message to yourself');
+        }
+
+        const { room } = getOrCreateDirectRoom(user.id, otherUser.id);
+
+        // Put both people's open chat sockets in the room and show it in their sidebars
+        if (req.io) {
+            req.io.in([userRoom(user.id), userRoom(otherUser.id)]).socketsJoin(socketRoom(room.id));
+            req.io.to(userRoom(otherUser.id)).emit('room-added', {
+                id: room.id,
+                type: 'direct',
+                label: user.displayName || user.username
+            });
+        }
+
+        chatRedirect(req, res, room.id);
+    } catch (error) {
+        console.error('Error opening direct message:', error);
+        chatRedirect(req, res, null, 'An error occurred while opening the conversation');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+// routes/dev.js
+// Development-only tools. server.js does not mount these when NODE_ENV is production.
+const express = require('express');
+const router = express.Router();
+const { renderEmail, listEmailTemplates } = require('../modules/email-templates');
+const { siteUrl } = require('../modules/mail-transport');
+const { contentSecurityPolicy } = require('../modules/security-headers');
+
+// Example data for previewing each email template
+const EMAIL_SAMPLES = {
+    'poke': {
+        subject: 'Preview User poked you! 👋',
+        fromName: 'Preview User',
+        profileUrl: siteUrl('/profile#pokes')
+    },
+    'password-reset': {
+        subject: '🔒 Password Reset Request - Epic Forum',
+        resetUrl: siteUrl('/api/auth/reset-password?token=preview-token'),
+        expirationDate: new Date(Date.now() + 3600000).toLocaleString()
+    },
+    'verify-email': {
+        subject: '📧 Confirm your email address - Epic Forum',
+        verifyUrl: siteUrl('/api/auth/verify-email?token=preview-token'),
+        expirationDate: new Date(Date.now() + 24 * 3600000).toLocaleString(),
+        isChange: false
+    },
+    'email-change-notice': {
+        subject: '⚠️ Your email address is being changed - Epic Forum',
+        username: 'Preview User',
+        newEmail: 'new-address@example.com',
+        profileUrl: siteUrl('/profile')
+    }
+};
+
+// Emails are styled with style="" attributes, as mail clients drop <style> blocks,
+// so previews relax the site's CSP for styles (scripts stay blocked)
+router.use((req, res, next) => {
+    res.set('Content-Security-Policy', contentSecurityPolicy(res.locals.cspNonce, {
+        'style-src': ["'self'", "'unsafe-inline'"]
+    }));
+    next();
+});
+
+/**
+ * GET /emails - List the email templates that can be previewed
+ */
+router.get('/emails', (req, res) => {
+    const links = listEmailTemplates().map(name => `
+        <li>
+            <a href="/dev/emails/${name}">${name}</a>
+            (<a href="/dev/emails/${name}?format=text">text</a>)
+        </li>`).join('');
+
+    res.send(`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Email Previews</title></head>
+        <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; padding: 20px;">
+        <h1>📧 Email Previews</h1><ul>${links}</ul></body></html>`);
+});
+
+/**
+ * GET /emails/:name - Render one email template with sample data
+ * Add ?format=text for the plain text version; query parameters override the sample data.
+ */
+router.get('/emails/:name', (req, res) => {
+    const name = req.params.name;
+    if (!listEmailTemplates().includes(name)) {
+        return res.status(404).send('No email template called ' + name.replace(/[^a-z0-9-]/gi, ''));
+    }
+
+    const { format, ...overrides } = req.query;
+    const data = Object.assign({ siteUrl: siteUrl('/') }, EMAIL_SAMPLES[name], overrides);
+
+    try {
+        const content = renderEmail(name, data);
+        if (format === 'text') {
+            return res.type('text/plain').send(content.text);
+        }
+        res.send(content.html);
+    } catch (error) {
+        console.error('Email preview error:', error);
+        res.status(500).type('text/plain').send('Could not render template: ' + error.message);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,178 @@
+// routes/moderation.js
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { requireRole } = require('../modules/auth-middleware');
+const { getCurrentUser } = require('../modules/current-user');
+const { disconnectUserSockets } = require('../modules/socket-auth');
+const { MAX_SUSPENSION_DAYS, getActiveBans, banUser, unbanUser } = require('../modules/bans');
+const { MAX_ATTEMPTS, getOutboxSummary, retryEmail } = require('../modules/email-outbox');
+const {
+    logModeratorAction,
+    getRecentActions,
+    setCommentHidden,
+    setCommentLocked,
+    moderateChatMessage,
+    getOpenReports,
+    closeReports,
+    setUserRole
+} = require('../modules/moderation');
+
+// Every route here is for moderators and admins only
+router.use(requireRole('moderator'));
+
+// Go back to the page the action came from (local paths only), or the queue
+function redirectBack(req, res) {
+    const returnTo = req.body && req.body.returnTo;
+
+    if (typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//') && !returnTo.startsWith('/\\')) {
+        return res.redirect(returnTo);
+    }
+    res.redirect('/moderation');
+}
+
+function renderQueue(req, res, messages = {}) {
+    const user = getCurrentUser(req);
+
+    res.render('moderation', Object.assign({
+        user: user,
+        reports: getOpenReports(),
+        recentActions: getRecentActions(),
+        bans: user.isAdmin ? getActiveBans() : [],
+        maxSuspensionDays: MAX_SUSPENSION_DAYS,
+        outbox: user.isAdmin ? getOutboxSummary() : null,
+        maxEmailAttempts: MAX_ATTEMPTS
+    }, messages));
+}
+
+/**
+ * GET / - Moderation queue: open reports and the audit log
+ */
+router.get('/', (req, res) => {
+    renderQueue(req, res);
+});
+
+/**
+ * POST /comments/:id/:action - Hide, unhide, lock or unlock a comment
+ */
+router.post('/comments/:id/:action', (req, res) => {
+    const commentId = parseInt(req.params.id);
+    const action = req.params.action;
+    const comment = db.prepare('SELECT id, user_id, parent_id FROM comments WHERE id = ?').get(commentId);
+
+    if (!comment) {
+        return renderQueue(req, res, { errorMessage: 'Comment not found' });
+    }
+
+    if (action === 'hide' || action === 'unhide') {
+        setCommentHidden(comment.id, action === 'hide');
+    } else if (action === 'lock' || action === 'unlock') {
+        setCommentLocked(comment.id, action === 'lock');
+    } else {
+        return renderQueue(req, res, { errorMessage: 'Invalid action' });
+    }
+
+    logModeratorAction(req.session.userId, `${action}_comment`, 'comment', comment.id, `author ${comment.user_id}`);
+    redirectBack(req, res);
+});
+
+/**
+ * POST /chat/:id/:action - Hide, unhide or delete a chat message
+ */
+router.post('/chat/:id/:action', (req, res) => {
+    const result = moderateChatMessage(req.io, req.session.userId, parseInt(req.params.id), req.params.action);
+
+    if (result.error) {
+        return renderQueue(req, res, { errorMessage: result.error });
+    }
+    redirectBack(req, res);
+});
+
+/**
+ * POST /reports/:status - Close the open reports for an item as resolved or dismissed
+ */
+router.post('/reports/:status', (req, res) => {
+    const status = req.params.status === 'resolve' ? 'resolved' : req.params.status === 'dismiss' ? 'dismissed' : null;
+    const contentType = req.body.contentType;
+    const contentId = parseInt(req.body.contentId);
+
+    if (!status || !['comment', 'chat'].includes(contentType) || !contentId) {
+        return renderQueue(req, res, { errorMessage: 'Invalid report action' });
+    }
+
+    const result = closeReports(contentType, contentId, status, req.session.userId);
+    logModeratorAction(req.session.userId, `${status}_reports`, contentType, contentId, `${result.changes} report(s)`);
+
+    redirectBack(req, res);
+});
+
+/**
+ * POST /users/role - Change a user's role (admins only)
+ */
+router.post('/users/role', requireRole('admin'), (req, res) => {
+    const username = (req.body.username || '').trim();
+    const role = req.body.role;
+
+    if (username === req.session.username) {
+        return renderQueue(req, res, { errorMessage: 'You cannot change your own role' });
+    }
+
+    const result = setUserRole(username, role);
+    if (result.error) {
+        return renderQueue(req, res, { errorMessage: result.error });
+    }
+
+    logModeratorAction(req.session.userId, 'set_role', 'user', result.user.id, `${result.user.previousRole} -> ${result.user.role}`);
+    const article = result.user.role === 'admin' ? 'an' : 'a';
+    renderQueue(req, res, { successMessage: `${result.user.username} is now ${article} ${result.user.role}` });
+});
+
+/**
+ * POST /users/ban - Suspend a user for a number of days or ban them permanently (admins only)
+ */
+router.post('/users/ban', requireRole('admin'), (req, res) => {
+    const username = (req.body.username || '').trim();
+    const type = req.body.type;
+
+    const result = banUser(username, type, req.body.reason, req.body.days, req.session.userId);
+    if (result.error) {
+        return renderQueue(req, res, { errorMessage: result.error });
+    }
+
+    // Their open chat connections are closed; pages show the ban from the next request
+    disconnectUserSockets(req.io, result.user.id);
+
+    const until = result.ban.expires_at ? `until ${result.ban.expires_at} UTC` : 'permanently';
+    logModeratorAction(req.session.userId, type === 'ban' ? 'ban_user' : 'suspend_user', 'user', result.user.id, `${until}: ${result.ban.reason}`);
+
+    const verb = type === 'ban' ? 'banned' : 'suspended';
+    renderQueue(req, res, { successMessage: `${result.user.username} has been ${verb} ${until}` });
+});
+
+/**
+ * POST /users/unban - Lift a user's suspension or ban early (admins only)
+ */
+router.post('/users/unban', requireRole('admin'), (req, res) => {
+    const result = unbanUser((req.body.username || '').trim(), req.session.userId);
+    if (result.error) {
+        return renderQueue(req, res, { errorMessage: result.error });
+    }
+
+    logModeratorAction(req.session.userId, 'unban_user', 'user', result.user.id);
+    renderQueue(req, res, { successMessage: `${result.user.username} can use the forum again` });
+});
+
+/**
+ * POST /email/:id/retry - Queue an email that gave up sending again (admins only)
+ */
+router.post('/email/:id/retry', requireRole('admin'), (req, res) => {
+    const emailId = parseInt(req.params.id);
+    if (!retryEmail(emailId)) {
+        return renderQueue(req, res, { errorMessage: 'That email is not waiting for a retry' });
+    }
+
+    logModeratorAction(req.session.userId, 'retry_email', 'email', emailId);
+    renderQueue(req, res, { successMessage: `Email #${emailId} is queued again` });
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// routes/notifications.js
+const express = require('express');
+const router = express.Router();
+const { getCurrentUser } = require('../modules/current-user');
+const { requireAuth } = require('../modules/auth-middleware');
+const { getNotifications, markRead, markAllRead } = require('../modules/notifications');
+const { avatarUrl } = require('../modules/avatars');
+
+/**
+ * GET / - The user's notifications, newest first
+ */
+router.get('/', requireAuth, (req, res) => {
+    const user = getCurrentUser(req);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const { notifications, totalPages } = getNotifications(user.id, page);
+
+    res.render('notifications', {
+        user: user,
+        notifications: notifications.map(notification => ({
+            id: notification.id,
+            type: notification.type,
+            message: notification.message,
+            hasLink: !!notification.url,
+            isRead: !!notification.is_read,
+            actorAvatar: notification.actor_username ? (notification.actor_avatar || '👤') : '🔔',
+            actorAvatarUrl: avatarUrl(notification.actor_avatar_image),
+            createdAt: notification.created_at
+        })),
+        currentPage: page,
+        totalPages: totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page + 1,
+        prevPage: page - 1
+    });
+});
+
+/**
+ * GET /:id/open - Mark a notification read and go to what it is about
+ */
+router.get('/:id/open', requireAuth, (req, res) => {
+    const notification = markRead(req.io, req.session.userId, parseInt(req.params.id));
+    res.redirect(notification && notification.url ? notification.url : '/notifications');
+});
+
+/**
+ * POST /:id/read - Mark one notification read
+ */
+router.post('/:id/read', requireAuth, (req, res) => {
+    markRead(req.io, req.session.userId, parseInt(req.params.id));
+    
+    // Stay on the page of the list the user was looking at
+    const page = parseInt(req.query.page);
+    res.redirect(page > 1 ? `/notifications?page=${page}` : '/notifications');
+});
+
+/**
+ * POST /read-all - Mark every notification read
+ */
+router.post('/read-all', requireAuth, (req, res) => {
+    markAllRead(req.io, req.session.userId);
+    res.redirect('/notifications');
+});
+
+module.exports = router;
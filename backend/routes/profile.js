@@ -3,6 +3,14 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database');
 const { validatePassword, hashPassword, comparePassword } = require('../modules/password-utils');
+const { getCurrentUser } = require('../modules/current-user');
+const { sendVerificationLink, requestEmailChange } = require('../modules/email-verification');
+const { getUserSessions, revokeSession, revokeOtherSessions } = require('../modules/user-sessions');
+const { updateBio, updateDisplayName, updateAvatarEmoji, broadcastAvatarChange } = require('../modules/user-profiles');
+const { MAX_AVATAR_BYTES, saveAvatarImage, removeAvatarImage } = require('../modules/avatars');
+const { NOTIFICATION_TYPES, getNotificationPreferences, setNotificationPreferences } = require('../modules/notifications');
+const { API_TOKEN_SCOPES, createApiToken, getUserApiTokens, revokeApiToken } = require('../modules/api-tokens');
+const { generateSecret, getOtpauthUri, enableTwoFactor, disableTwoFactor, verifySecondFactor, createRecoveryCodes } = require('../modules/two-factor');
 
 /**
  * Middleware to ensure user is authenticated
@@ -14,34 +22,58 @@ function requireAuth(req, res, next) {
     next();
 }
 
+/**
+ * Make the user's active sessions available to every profile render
+ */
+function loadSessions(req, res) {
+    res.locals.sessions = req.session && req.session.userId
+        ? getUserSessions(req.session.userId, req.sessionID)
+        : [];
+}
+
+/**
+ * Make the user's notification settings available to every profile render
+ */
+function loadNotificationPreferences(req, res) {
+    res.locals.notificationPreferences = req.session && req.session.userId
+        ? getNotificationPreferences(req.session.userId)
+        : [];
+}
+
+/**
+ * Make the user's API tokens available to every profile render
+ */
+function loadApiTokens(req, res) {
+    res.locals.apiTokens = req.session && req.session.userId
+        ? getUserApiTokens(req.session.userId)
+        : [];
+    res.locals.apiTokenScopes = API_TOKEN_SCOPES;
+}
+
+router.use((req, res, next) => {
+    loadSessions(req, res);
+    loadNotificationPreferences(req, res);
+    loadApiTokens(req, res);
+    next();
+});
+
 /**
  * POST /update-display-name - Update user's display name
  */
 router.post('/update-display-name', requireAuth, (req, res) => {
     try {
-        const { displayName } = req.body;
-        const userId = req.session.userId;
+        // Validate input and update display name in database
+        const result = updateDisplayName(req.session.userId, req.body.displayName);
         
-        // Validate input
-        if (!displayName || displayName.trim().length === 0) {
+        if (result.error) {
             return res.render('profile', { 
                 user: getCurrentUser(req),
-                errorMessage: 'Display name cannot be empty' 
+                errorMessage: result.error 
             });
         }
         
-        if (displayName.trim().length > 100) {
-            return res.render('profile', { 
-                user: getCurrentUser(req),
-                errorMessage: 'Display name must be 100 characters or less' 
-            });
-        }
-        
-        // Update display name in database
-        db.prepare('UPDATE users SET display_name = ? WHERE id = ?').run(displayName.trim(), userId);
-        
         // Update session to reflect the change immediately
-        req.session.displayName = displayName.trim();
+        req.session.displayName = result.displayName;
         
         // Get refreshed user data for the response
         const updatedUser = getCurrentUser(req);
@@ -77,7 +109,7 @@ router.post('/update-email', requireAuth, async (req, res) => {
         }
         
         // Get current user data to verify password
-        const user = db.prepare('SELECT password_hash FROM users WHERE id = ?').get(userId);
+        const user = db.prepare('SELECT id, username, display_name, email, password_hash FROM users WHERE id = ?').get(userId);
         if (!user) {
             return res.render('profile', { 
                 user: getCurrentUser(req),
@@ -103,6 +135,13 @@ router.post('/update-email', requireAuth, async (req, res) => {
             });
         }
         
+        if (newEmail === user.email) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: 'That is already your email address' 
+            });
+        }
+        
         // Check if email is already in use by another user
         const existingUser = db.prepare('SELECT id FROM users WHERE email = ? AND id != ?').get(newEmail, userId);
         if (existingUser) {
@@ -112,12 +151,19 @@ router.post('/update-email', requireAuth, async (req, res) => {
             });
         }
         
-        // Update email in database
-        db.prepare('UPDATE users SET email = ? WHERE id = ?').run(newEmail, userId);
+        // The new address only replaces the old one once it is confirmed
+        const emailResult = await requestEmailChange(user, newEmail);
+        if (!emailResult.success) {
+            console.error('Failed to send verification email:', emailResult.error);
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: 'We couldn\'t send a confirmation email to that address. Use "Resend Link" to try again.' 
+            });
+        }
         
         res.render('profile', { 
             user: getCurrentUser(req),
-            successMessage: 'Email address updated successfully!' 
+            successMessage: `We sent a confirmation link to ${newEmail}. Your email stays ${user.email} until you click it.` 
         });
         
     } catch (error) {
@@ -130,43 +176,109 @@ router.post('/update-email', requireAuth, async (req, res) => {
 });
 
 /**
- * POST /update-avatar - Update user's avatar emoji
+ * POST /resend-verification - Email a new confirmation link for the current or pending address
  */
-router.post('/update-avatar', requireAuth, (req, res) => {
+router.post('/resend-verification', requireAuth, async (req, res) => {
     try {
-        const { avatar } = req.body;
-        const userId = req.session.userId;
+        const user = db.prepare('SELECT id, email, email_verified, pending_email FROM users WHERE id = ?').get(req.session.userId);
+        
+        if (!user.pending_email && user.email_verified) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: 'Your email address is already confirmed' 
+            });
+        }
         
-        // List of allowed avatars (prevent injection)
-        const allowedAvatars = ['😊', '😎', '🤓', '😴', '🤩', '🥳', '🤖', '👻', '🦊', '🐱', '🐶', '🚀', ''];
+        const email = user.pending_email || user.email;
+        const emailResult = await sendVerificationLink(user.id, email, !!user.pending_email);
+        if (!emailResult.success) {
+            console.error('Failed to send verification email:', emailResult.error);
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: 'Error sending confirmation email. Please try again later.' 
+            });
+        }
         
-        if (avatar && !allowedAvatars.includes(avatar)) {
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            successMessage: `A new confirmation link is on its way to ${email}.` 
+        });
+        
+    } catch (error) {
+        console.error('Error resending verification email:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while sending the confirmation email' 
+        });
+    }
+});
+
+/**
+ * POST /cancel-email-change - Drop a pending email change
+ */
+router.post('/cancel-email-change', requireAuth, (req, res) => {
+    db.prepare('UPDATE users SET pending_email = NULL WHERE id = ?').run(req.session.userId);
+    
+    res.render('profile', { 
+        user: getCurrentUser(req),
+        successMessage: 'Email change cancelled. Links already sent to the new address no longer work.' 
+    });
+});
+
+/**
+ * POST /update-bio - Update the bio shown on the user's public profile
+ */
+router.post('/update-bio', requireAuth, (req, res) => {
+    try {
+        const result = updateBio(req.session.userId, req.body.bio);
+        
+        if (result.error) {
             return res.render('profile', { 
                 user: getCurrentUser(req),
-                errorMessage: 'Invalid avatar selection' 
+                errorMessage: result.error 
             });
         }
         
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            successMessage: result.bio ? 'Bio updated successfully!' : 'Bio removed.' 
+        });
+        
+    } catch (error) {
+        console.error('Error updating bio:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while updating your bio' 
+        });
+    }
+});
+
+/**
+ * POST /update-avatar - Update user's avatar emoji
+ */
+router.post('/update-avatar', requireAuth, (req, res) => {
+    try {
         // Update avatar in database (empty string for default)
-        const avatarValue = avatar || null;
-        db.prepare('UPDATE users SET profile_avatar = ? WHERE id = ?').run(avatarValue, userId);
+        const result = updateAvatarEmoji(req.session.userId, req.body.avatar);
+        
+        if (result.error) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: result.error 
+            });
+        }
         
         // Get refreshed user data for the response
         const updatedUser = getCurrentUser(req);
         
-        // Emit avatar update event to all connected chat users via Socket.IO
-        if (req.io) {
-            req.io.to('main-chat').emit('avatar-updated', {
-                userId: userId,
-                username: updatedUser.username,
-                displayName: updatedUser.displayName,
-                newAvatar: avatarValue || '👤'
-            });
-        }
+        // Emit avatar update event to every chat room the user belongs to via Socket.IO
+        broadcastAvatarChange(req.io, updatedUser);
         
         res.render('profile', { 
             user: updatedUser,
-            successMessage: 'Avatar updated successfully! Your new avatar will appear in comments and chat.' 
+            successMessage: updatedUser.avatarUrl
+                ? 'Avatar emoji saved! It will be used if you remove your uploaded image.'
+                : 'Avatar updated successfully! Your new avatar will appear in comments and chat.' 
         });
         
     } catch (error) {
@@ -178,6 +290,127 @@ router.post('/update-avatar', requireAuth, (req, res) => {
     }
 });
 
+/**
+ * POST /upload-avatar - Upload an image to use as the user's avatar
+ * (server.js reads the upload with readAvatarUpload before the CSRF check)
+ */
+router.post('/upload-avatar', requireAuth, async (req, res) => {
+    try {
+        const uploadError = req.avatarUploadError;
+        if (uploadError) {
+            const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: tooLarge
+                    ? `Avatar images must be ${MAX_AVATAR_BYTES / (1024 * 1024)} MB or smaller`
+                    : uploadError.message 
+            });
+        }
+        
+        const result = await saveAvatarImage(req.session.userId, req.file && req.file.buffer);
+        if (result.error) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: result.error 
+            });
+        }
+        
+        const updatedUser = getCurrentUser(req);
+        broadcastAvatarChange(req.io, updatedUser);
+        
+        res.render('profile', { 
+            user: updatedUser,
+            successMessage: 'Avatar image uploaded! It will appear in comments and chat.' 
+        });
+        
+    } catch (error) {
+        console.error('Error uploading avatar:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while uploading your avatar' 
+        });
+    }
+});
+
+/**
+ * POST /remove-avatar-image - Go back to the emoji avatar
+ */
+router.post('/remove-avatar-image', requireAuth, (req, res) => {
+    try {
+        const removed = removeAvatarImage(req.session.userId);
+        const updatedUser = getCurrentUser(req);
+        
+        if (removed) {
+            broadcastAvatarChange(req.io, updatedUser);
+        }
+        
+        res.render('profile', { 
+            user: updatedUser,
+            successMessage: removed
+                ? 'Avatar image removed. Your emoji avatar is back.'
+                : 'You have no avatar image to remove.' 
+        });
+        
+    } catch (error) {
+        console.error('Error removing avatar image:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while removing your avatar image' 
+        });
+    }
+});
+
+/**
+ * POST /update-pokes - Choose whether others can poke you and whether pokes are emailed
+ */
+router.post('/update-pokes', requireAuth, (req, res) => {
+    try {
+        const allowPokes = req.body.allowPokes ? 1 : 0;
+        const pokeEmails = req.body.pokeEmails ? 1 : 0;
+        
+        db.prepare('UPDATE users SET allow_pokes = ?, poke_emails = ? WHERE id = ?')
+            .run(allowPokes, pokeEmails, req.session.userId);
+        
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            successMessage: 'Poke settings updated successfully!' 
+        });
+        
+    } catch (error) {
+        console.error('Error updating poke settings:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while updating poke settings' 
+        });
+    }
+});
+
+/**
+ * POST /update-notifications - Choose which kinds of notifications to receive
+ */
+router.post('/update-notifications', requireAuth, (req, res) => {
+    try {
+        // Checkboxes arrive as a single value or an array depending on how many are ticked
+        const checked = [].concat(req.body.types || []);
+        const enabledTypes = checked.filter(type => Object.prototype.hasOwnProperty.call(NOTIFICATION_TYPES, type));
+        
+        setNotificationPreferences(req.session.userId, enabledTypes);
+        loadNotificationPreferences(req, res);
+        
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            successMessage: 'Notification settings updated successfully!' 
+        });
+        
+    } catch (error) {
+        console.error('Error updating notification settings:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while updating notification settings' 
+        });
+    }
+});
+
 /**
  * POST /change-password - Change user's password
  */
@@ -233,9 +466,15 @@ router.post('/change-password', requireAuth, async (req, res) => {
         const newPasswordHash = await hashPassword(newPassword);
         db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(newPasswordHash, userId);
         
+        // Anyone else logged in with the old password is signed out
+        const revoked = revokeOtherSessions(req.io, userId, req.sessionID);
+        loadSessions(req, res);
+        
         res.render('profile', { 
             user: getCurrentUser(req),
-            successMessage: 'Password changed successfully!' 
+            successMessage: revoked > 0
+                ? `Password changed successfully! ${revoked} other session${revoked === 1 ? ' was' : 's were'} signed out.`
+                : 'Password changed successfully!' 
         });
         
     } catch (error) {
@@ -247,33 +486,250 @@ router.post('/change-password', requireAuth, async (req, res) => {
     }
 });
 
-// Helper function to get current user (duplicate from server.js for now)
-function getCurrentUser(req) {
-    if (req.session && req.session.userId) {
-        const user = db.prepare(`
-            SELECT id, username, display_name, email, profile_color, profile_avatar 
-            FROM users WHERE id = ?
-        `).get(req.session.userId);
-        
-        if (user) {
-            return {
-                id: user.id,
-                username: user.username,
-                displayName: user.display_name,
-                email: user.email,
-                profileColor: user.profile_color,
-                profileAvatar: user.profile_avatar,
-                loggedIn: true
-            };
+/**
+ * POST /sessions/revoke - Sign out one of the user's other sessions
+ */
+router.post('/sessions/revoke', requireAuth, (req, res) => {
+    const result = revokeSession(req.io, req.session.userId, req.body.session, req.sessionID);
+    loadSessions(req, res);
+    
+    if (result.error) {
+        return res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: result.error 
+        });
+    }
+    
+    res.render('profile', { 
+        user: getCurrentUser(req),
+        successMessage: 'Session signed out' 
+    });
+});
+
+/**
+ * POST /sessions/revoke-others - Sign out every session except this one
+ */
+router.post('/sessions/revoke-others', requireAuth, (req, res) => {
+    const revoked = revokeOtherSessions(req.io, req.session.userId, req.sessionID);
+    loadSessions(req, res);
+    
+    res.render('profile', { 
+        user: getCurrentUser(req),
+        successMessage: revoked > 0
+            ? `Signed out ${revoked} other session${revoked === 1 ? '' : 's'}`
+            : 'You have no other sessions' 
+    });
+});
+
+/**
+ * POST /api-tokens - Create a personal API token; the token itself is shown only in this response
+ */
+router.post('/api-tokens', requireAuth, (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+        const result = createApiToken(req.session.userId, name, scopes, expiresInDays);
+        
+        if (result.error) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: result.error 
+            });
         }
+        
+        loadApiTokens(req, res);
+        
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            newApiToken: result.token,
+            successMessage: `API token "${result.apiToken.name}" created. Copy it now; it won't be shown again.` 
+        });
+        
+    } catch (error) {
+        console.error('Error creating API token:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while creating the API token' 
+        });
+    }
+});
+
+/**
+ * POST /api-tokens/revoke - Delete one of the user's API tokens so it stops working
+ */
+router.post('/api-tokens/revoke', requireAuth, (req, res) => {
+    const revoked = revokeApiToken(req.session.userId, req.body.tokenId);
+    loadApiTokens(req, res);
+    
+    if (!revoked) {
+        return res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'That API token was not found' 
+        });
     }
     
+    res.render('profile', { 
+        user: getCurrentUser(req),
+        successMessage: 'API token revoked' 
+    });
+});
+
+// The enrollment details shown while 2FA is being set up
+function twoFactorSetup(req) {
+    const secret = req.session.totpSetupSecret;
     return {
-        name: "Guest",
-        displayName: "Guest", 
-        msg: "Welcome! Please login or register.",
-        loggedIn: false
+        secret: secret.match(/.{1,4}/g).join(' '),
+        otpauthUri: getOtpauthUri(req.session.username, secret)
     };
 }
 
+/**
+ * Check the current password and a 2FA code before changing 2FA settings.
+ * Returns an error message, or null if both are good.
+ */
+async function checkTwoFactorChange(userId, currentPassword, code) {
+    if (!currentPassword || !code) {
+        return 'Current password and an authentication code are required';
+    }
+    
+    const user = db.prepare('SELECT password_hash, totp_enabled FROM users WHERE id = ?').get(userId);
+    if (!user || !user.totp_enabled) {
+        return 'Two-factor authentication is not enabled';
+    }
+    
+    const passwordValid = await comparePassword(currentPassword, user.password_hash);
+    if (!passwordValid) {
+        return 'Current password is incorrect';
+    }
+    
+    const result = await verifySecondFactor(userId, code);
+    return result.error || null;
+}
+
+/**
+ * POST /two-factor/setup - Start 2FA enrollment with a new secret
+ */
+router.post('/two-factor/setup', requireAuth, (req, res) => {
+    const user = getCurrentUser(req);
+    if (user.twoFactorEnabled) {
+        return res.render('profile', { 
+            user: user,
+            errorMessage: 'Two-factor authentication is already enabled' 
+        });
+    }
+    
+    // Kept in the session until a code proves the authenticator app has it
+    req.session.totpSetupSecret = generateSecret();
+    
+    res.render('profile', { 
+        user: user,
+        twoFactorSetup: twoFactorSetup(req)
+    });
+});
+
+/**
+ * POST /two-factor/enable - Finish enrollment with a code from the new secret
+ */
+router.post('/two-factor/enable', requireAuth, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const userId = req.session.userId;
+        
+        if (!req.session.totpSetupSecret) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: 'Start two-factor setup again' 
+            });
+        }
+        
+        const result = await enableTwoFactor(userId, req.session.totpSetupSecret, code);
+        if (result.error) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                twoFactorSetup: twoFactorSetup(req),
+                errorMessage: result.error 
+            });
+        }
+        
+        delete req.session.totpSetupSecret;
+        
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            recoveryCodes: result.recoveryCodes,
+            successMessage: 'Two-factor authentication is on. You\'ll be asked for a code each time you log in.' 
+        });
+        
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while enabling two-factor authentication' 
+        });
+    }
+});
+
+/**
+ * POST /two-factor/recovery-codes - Replace the recovery codes with a new set
+ */
+router.post('/two-factor/recovery-codes', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, code } = req.body;
+        const userId = req.session.userId;
+        
+        const errorMessage = await checkTwoFactorChange(userId, currentPassword, code);
+        if (errorMessage) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: errorMessage 
+            });
+        }
+        
+        const recoveryCodes = await createRecoveryCodes(userId);
+        
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            recoveryCodes: recoveryCodes,
+            successMessage: 'New recovery codes created. Your old codes no longer work.' 
+        });
+        
+    } catch (error) {
+        console.error('Error creating recovery codes:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while creating recovery codes' 
+        });
+    }
+});
+
+/**
+ * POST /two-factor/disable - Turn off 2FA (needs the password and a code)
+ */
+router.post('/two-factor/disable', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, code } = req.body;
+        const userId = req.session.userId;
+        
+        const errorMessage = await checkTwoFactorChange(userId, currentPassword, code);
+        if (errorMessage) {
+            return res.render('profile', { 
+                user: getCurrentUser(req),
+                errorMessage: errorMessage 
+            });
+        }
+        
+        disableTwoFactor(userId);
+        
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            successMessage: 'Two-factor authentication is off. Your recovery codes have been deleted.' 
+        });
+        
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        res.render('profile', { 
+            user: getCurrentUser(req),
+            errorMessage: 'An error occurred while disabling two-factor authentication' 
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
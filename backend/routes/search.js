@@ -0,0 +1,60 @@
+// routes/search.js
+const express = require('express');
+const router = express.Router();
+const { getCurrentUser } = require('../modules/current-user');
+const { RESULTS_PER_PAGE, parseFilters, searchContent } = require('../modules/search');
+
+/**
+ * GET /?q=&author=&from=&to=&source=&page= - Search comments and chat messages
+ */
+router.get('/', (req, res) => {
+    const user = getCurrentUser(req);
+    const filters = parseFilters(req.query);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    // Guests can only search comments
+    if (!user.loggedIn) {
+        filters.source = 'comments';
+    }
+
+    let results = [];
+    let totalResults = 0;
+
+    try {
+        ({ results, totalResults } = searchContent(filters, user, page));
+    } catch (error) {
+        console.error('Search error:', error);
+        return res.render('search', {
+            user: user,
+            filters: filters,
+            errorMessage: 'An error occurred while searching. Please try different terms.'
+        });
+    }
+
+    const totalPages = Math.ceil(totalResults / RESULTS_PER_PAGE);
+
+    // Filters to carry over to the previous/next page links
+    const params = new URLSearchParams();
+    Object.keys(filters).forEach(key => {
+        if (filters[key] && !(key === 'source' && filters[key] === 'all')) {
+            params.set(key, filters[key]);
+        }
+    });
+
+    res.render('search', {
+        user: user,
+        filters: filters,
+        searched: filters.q.length > 0,
+        results: results,
+        totalResults: totalResults,
+        currentPage: page,
+        totalPages: totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page + 1,
+        prevPage: page - 1,
+        queryString: params.toString()
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+// routes/users.js
+const express = require('express');
+const router = express.Router();
+const { getCurrentUser } = require('../modules/current-user');
+const { suggestUsers } = require('../modules/mentions');
+const { getPublicProfile, getUserComments } = require('../modules/user-profiles');
+
+/**
+ * GET /suggest - Users matching what was typed after @, for the mention picker
+ */
+router.get('/suggest', (req, res) => {
+    const user = getCurrentUser(req);
+    if (!user.loggedIn) {
+        return res.status(401).json({ success: false, message: 'Not logged in' });
+    }
+    
+    try {
+        const q = typeof req.query.q === 'string' ? req.query.q.slice(0, 50) : '';
+        res.json({ success: true, users: suggestUsers(q) });
+    } catch (error) {
+        console.error('Error suggesting users:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+/**
+ * GET /:username - Public profile page with the user's recent comments
+ */
+router.get('/:username', (req, res) => {
+    const user = getCurrentUser(req);
+    const profile = getPublicProfile(req.params.username);
+    
+    if (!profile) {
+        return res.status(404).render('userprofile', { user: user, notFound: true, username: req.params.username });
+    }
+    
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const { comments, totalComments, totalPages } = getUserComments(profile.id, page, !!user.isModerator);
+    const isSelf = user.loggedIn && user.id === profile.id;
+    
+    res.render('userprofile', {
+        user: user,
+        profile: profile,
+        isSelf: isSelf,
+        canPoke: user.loggedIn && !isSelf && profile.allowPokes,
+        comments: comments,
+        totalComments: totalComments,
+        currentPage: page,
+        totalPages: totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page + 1,
+        prevPage: page - 1
+    });
+});
+
+module.exports = router;
@@ -5,22 +5,56 @@ const hbs = require('hbs');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const db = require('./database');
+const SQLiteSessionStore = require('./modules/session-store');
+const { getCurrentUser } = require('./modules/current-user');
+const { hasRole, bearerAuth } = require('./modules/auth-middleware');
+const { csrfProtection } = require('./modules/csrf');
+const { securityHeaders } = require('./modules/security-headers');
+const { isThreadLocked, moderateChatMessage } = require('./modules/moderation');
+const { REPORT_REASONS, createReport } = require('./modules/reports');
+const { getCommentHistory } = require('./modules/comment-revisions');
+const { addComment, editComment, deleteComment } = require('./modules/comments');
+const { getCommentPage } = require('./modules/search');
+const { recordSessionClient, getUserSessions } = require('./modules/user-sessions');
+const { startOutboxWorker } = require('./modules/email-outbox');
+const { getNotificationPreferences } = require('./modules/notifications');
+const { API_TOKEN_SCOPES, getUserApiTokens } = require('./modules/api-tokens');
+const { linkMentions, notifyMentions } = require('./modules/mentions');
+const { pokeUser } = require('./modules/pokes');
+const { AVATAR_DIR, avatarUrl, readAvatarUpload } = require('./modules/avatars');
+const { tooManyRequests, describeWait, commentLimiter, chatMessageLimiter } = require('./modules/rate-limit');
+const { sendApiError, handleApiError } = require('./modules/api-helpers');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 
+const { allowedOrigins, allowRequest, requireSocketAuth, sessionRoom, userRoom, disconnectSessionSockets } = require('./modules/socket-auth');
+const { socketRoom, getRoom, isMember, ensureMainRoomMember, getUserRoomIds, getRoomMessages, markRoomRead } = require('./modules/chat-rooms');
+
 // Create HTTP server and Socket.io
+// Only same-host pages and origins listed in CHAT_ALLOWED_ORIGINS may connect
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
     cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
+        origin: allowedOrigins,
+        methods: ["GET", "POST"],
+        credentials: true
+    },
+    allowRequest: allowRequest
 });
 
-const PORT = 80;
+const PORT = process.env.PORT || 80;
+
+// Behind nginx, req.ip comes from X-Forwarded-For. Only the proxy on the private
+// Docker network is believed, so the rate limits can't be dodged with a made-up header.
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
+
+// CSP, HSTS and friends on every response, static files included
+app.disable('x-powered-by');
+app.use(securityHeaders);
 
-// Session configuration
-app.use(session({
+// Session configuration - sessions are persisted in SQLite so they survive restarts
+const sessionMiddleware = session({
+    store: new SQLiteSessionStore(db),
     secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -28,14 +62,20 @@ app.use(session({
         secure: false, // Set to true when using HTTPS
         maxAge: 24 * 60 * 60 * 1000 // 24 hours
     }
-}));
+});
+app.use(sessionMiddleware);
+
+// Share the session with Socket.IO so chat connections are tied to a login
+io.engine.use(sessionMiddleware);
+io.use(requireSocketAuth);
 
-// Set view engine and views directory
+// Set view engine and views directory (VIEWS_DIR points at the repo's views/ outside Docker)
+const VIEWS_DIR = process.env.VIEWS_DIR || path.join(__dirname, 'views');
 app.set('view engine', 'hbs');
-app.set('views', path.join(__dirname, 'views'));
+app.set('views', VIEWS_DIR);
 
 // Register partials directory
-hbs.registerPartials(path.join(__dirname, 'views', 'partials'));
+hbs.registerPartials(path.join(VIEWS_DIR, 'partials'));
 
 // Register helper for date formatting
 hbs.registerHelper('formatDate', function(date) {
@@ -64,6 +104,19 @@ hbs.registerHelper('gt', function(a, b) {
     return a > b;
 });
 
+// Register helper for a user's avatar: their uploaded image if they have one, otherwise their emoji
+hbs.registerHelper('avatar', function(imageUrl, emoji) {
+    if (imageUrl) {
+        return new hbs.SafeString(`<img src="${hbs.Utils.escapeExpression(imageUrl)}" alt="" class="avatar-image">`);
+    }
+    return emoji || '👤';
+});
+
+// Register helper for a user's public profile link
+hbs.registerHelper('userUrl', function(username) {
+    return '/users/' + encodeURIComponent(username);
+});
+
 // Middleware to parse form submits
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json()); // Add JSON parsing for API requests
@@ -72,51 +125,141 @@ app.use(cookieParser());
 // Serve static files from public directory
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
-// Database helper functions
-function getCurrentUser(req) {
-    if (req.session && req.session.userId) {
-        const user = db.prepare(`
-            SELECT id, username, display_name, email, profile_color, profile_avatar 
-            FROM users WHERE id = ?
-        `).get(req.session.userId);
-        
-        if (user) {
-            return {
-                id: user.id,
-                username: user.username,
-                displayName: user.display_name,
-                email: user.email,
-                profileColor: user.profile_color,
-                profileAvatar: user.profile_avatar,
-                loggedIn: true
-            };
-        }
+// Uploaded avatars; every upload gets a new file name, so they can be cached for good
+app.use('/avatars', express.static(AVATAR_DIR, { maxAge: '30d', immutable: true }));
+
+// Keep each session's device and address current for the session list on /profile
+app.use((req, res, next) => {
+    recordSessionClient(req);
+    next();
+});
+
+// API clients may send a personal API token instead of the session cookie
+app.use('/api/v1', bearerAuth);
+
+// The avatar form is multipart, so its fields (with _csrf) are read before the CSRF check
+app.post('/profile/upload-avatar', readAvatarUpload);
+
+// Forms and fetch calls must send back the session's CSRF token (token-authenticated API calls are exempt)
+app.use(csrfProtection);
+
+// Suspended and banned users only get the ban page until it ends; they can still log out
+app.use((req, res, next) => {
+    const user = getCurrentUser(req);
+    
+    if (!user.ban || req.path === '/logout' || req.path === '/api/auth/logout') {
+        return next();
     }
     
-    return {
-        name: "Guest",
-        displayName: "Guest", 
-        msg: "Welcome! Please login or register.",
-        loggedIn: false
-    };
-}
+    if (req.path.startsWith('/api/v1/')) {
+        return user.ban.type === 'ban'
+            ? sendApiError(res, 403, 'account_banned', 'Your account has been banned')
+            : sendApiError(res, 403, 'account_suspended', `Your account is suspended until ${user.ban.expires_at} UTC`);
+    }
+    
+    res.status(403).render('banned', { user: user, ban: user.ban, canLogout: true });
+});
 
-function getCommentsFromDB(limit = 50, offset = 0) {
+// Database helper functions
+// Get a page of top-level comments along with every reply beneath them,
+// so a thread is never split across pages
+function getCommentsFromDB(limit = 20, offset = 0) {
     return db.prepare(`
-        SELECT c.id, c.user_id, c.text, c.created_at, c.updated_at, c.is_edited, c.edit_count, 
-               u.display_name, u.username, u.profile_color, u.profile_avatar 
+        WITH RECURSIVE roots AS (
+            SELECT id FROM comments
+            WHERE parent_id IS NULL AND is_pruned = 0
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        ),
+        thread(id) AS (
+            SELECT id FROM roots
+            UNION ALL
+            SELECT c.id FROM comments c JOIN thread t ON c.parent_id = t.id WHERE c.is_pruned = 0
+        )
+        SELECT c.id, c.user_id, c.parent_id, c.text, c.created_at, c.updated_at, c.is_edited, c.edit_count, c.is_deleted,
+               c.is_hidden, c.is_locked,
+               u.display_name, u.username, u.profile_color, u.profile_avatar, u.avatar_image 
         FROM comments c
         JOIN users u ON c.user_id = u.id
-        ORDER BY c.created_at DESC
-        LIMIT ? OFFSET ?
+        WHERE c.id IN (SELECT id FROM thread)
+        ORDER BY c.created_at ASC, c.id ASC
     `).all(limit, offset);
 }
 
-function addCommentToDB(userId, text) {
-    return db.prepare(`
-        INSERT INTO comments (user_id, text, created_at)
-        VALUES (?, ?, CURRENT_TIMESTAMP)
-    `).run(userId, text);
+// Format a comment row for the comment partial.
+// Hidden comments are only readable by moderators; everyone else sees a placeholder.
+function formatComment(comment, user) {
+    const isDeleted = !!comment.is_deleted;
+    const isHidden = !isDeleted && !!comment.is_hidden;
+    const isRemoved = isDeleted || (isHidden && !user.isModerator);
+    const isOwn = user.loggedIn && user.id === comment.user_id;
+    
+    let placeholder = null;
+    if (isDeleted) {
+        placeholder = '[deleted]';
+    } else if (isRemoved) {
+        placeholder = '[hidden by a moderator]';
+    }
+    
+    return {
+        id: comment.id,
+        parentId: comment.parent_id,
+        author: isRemoved ? placeholder : (comment.display_name || comment.username),
+        authorUsername: isRemoved ? null : comment.username,
+        text: isRemoved ? placeholder : comment.text,
+        textHtml: isRemoved ? placeholder : linkMentions(comment.text),
+        createdAt: comment.created_at,
+        updatedAt: comment.updated_at,
+        isEdited: !isRemoved && (comment.is_edited || false),
+        isDeleted: isRemoved,
+        isHidden: isHidden,
+        isLocked: !!comment.is_locked,
+        editCount: comment.edit_count || 0,
+        profileColor: comment.profile_color || '#000000',
+        profileAvatar: isRemoved ? '👤' : (comment.profile_avatar || '👤'),
+        avatarUrl: isRemoved ? null : avatarUrl(comment.avatar_image),
+        canEdit: !isDeleted && isOwn,
+        canDelete: !isDeleted && (isOwn || !!user.isModerator),
+        canModerate: !isDeleted && !!user.isModerator,
+        canViewDeleted: isDeleted && !!user.isModerator,
+        canReply: !isRemoved && user.loggedIn,
+        canReport: !isRemoved && user.loggedIn && !isOwn,
+        replies: []
+    };
+}
+
+// Nest formatted comments under their parents. Rows arrive oldest first, so
+// replies read top to bottom while top-level threads are shown newest first.
+function buildCommentTree(rows, user) {
+    const byId = new Map();
+    const roots = [];
+    
+    rows.forEach(row => byId.set(row.id, formatComment(row, user)));
+    
+    byId.forEach(comment => {
+        const parent = comment.parentId ? byId.get(comment.parentId) : null;
+        if (parent) {
+            parent.replies.push(comment);
+        } else {
+            roots.push(comment);
+        }
+    });
+    
+    byId.forEach(comment => {
+        comment.replyCount = comment.replies.length;
+    });
+    
+    // Nobody can reply anywhere inside a locked thread
+    function applyLock(comment, locked) {
+        comment.threadLocked = locked || comment.isLocked;
+        if (comment.threadLocked) {
+            comment.canReply = false;
+        }
+        comment.replies.forEach(reply => applyLock(reply, comment.threadLocked));
+    }
+    roots.forEach(root => applyLock(root, false));
+    
+    return roots.reverse();
 }
 
 // Home page - now uses session data
@@ -144,7 +287,13 @@ app.get('/profile', (req, res) => {
         return res.redirect('/login');
     }
     
-    res.render('profile', { user: user });
+    res.render('profile', {
+        user: user,
+        sessions: getUserSessions(user.id, req.sessionID),
+        notificationPreferences: getNotificationPreferences(user.id),
+        apiTokens: getUserApiTokens(user.id),
+        apiTokenScopes: API_TOKEN_SCOPES
+    });
 });
 
 // Comments page
@@ -153,33 +302,24 @@ app.get('/comments', (req, res) => {
     
     // Get pagination parameters
     const page = parseInt(req.query.page) || 1;
-    const limit = 20; // Comments per page
+    const limit = 20; // Threads per page
     const offset = (page - 1) * limit;
     
-    // Get comments from database
-    const comments = getCommentsFromDB(limit, offset);
+    // Get comment threads from database
+    const rows = getCommentsFromDB(limit, offset);
     
-    // Get total comment count for pagination
-    const totalComments = db.prepare('SELECT COUNT(*) as count FROM comments').get().count;
-    const totalPages = Math.ceil(totalComments / limit);
+    // Get total thread count for pagination
+    const totalComments = db.prepare('SELECT COUNT(*) as count FROM comments WHERE is_deleted = 0').get().count;
+    const totalThreads = db.prepare('SELECT COUNT(*) as count FROM comments WHERE parent_id IS NULL AND is_pruned = 0').get().count;
+    const totalPages = Math.ceil(totalThreads / limit);
     
-    // Format comments for display
-    const formattedComments = comments.map(comment => ({
-        id: comment.id,
-        author: comment.display_name || comment.username,
-        text: comment.text,
-        createdAt: comment.created_at,
-        updatedAt: comment.updated_at,
-        isEdited: comment.is_edited || false,
-        editCount: comment.edit_count || 0,
-        profileColor: comment.profile_color || '#000000',
-        profileAvatar: comment.profile_avatar || '👤',
-        canEdit: user.loggedIn && user.id === comment.user_id
-    }));
+    // Nest replies under their parents for display
+    const formattedComments = buildCommentTree(rows, user);
     
     res.render('comments', { 
         user: user, 
         comments: formattedComments,
+        reportReasons: REPORT_REASONS,
         currentPage: page,
         totalPages: totalPages,
         totalComments: totalComments,
@@ -214,8 +354,17 @@ app.post('/comments/addcomment', (req, res) => {
     const commentText = (req.body && req.body.text) ? req.body.text.trim() : '';
     
     if (commentText && commentText.length > 0) {
+        const wait = commentLimiter.consume(user.id);
+        if (wait > 0) {
+            return tooManyRequests(res, wait).render('addcomment', {
+                user: user,
+                text: commentText,
+                errorMessage: `You're commenting too fast. Try again in ${describeWait(wait)}.`
+            });
+        }
+        
         try {
-            addCommentToDB(user.id, commentText);
+            addComment(io, user, commentText);
         } catch (error) {
             console.error('Error adding comment:', error);
         }
@@ -224,6 +373,87 @@ app.post('/comments/addcomment', (req, res) => {
     res.redirect('/comments');
 });
 
+// Reply to comment page
+app.get('/comments/reply/:id', (req, res) => {
+    const user = getCurrentUser(req);
+    
+    if (!user.loggedIn) {
+        return res.redirect('/login');
+    }
+    
+    const parentId = parseInt(req.params.id);
+    const parent = db.prepare(`
+        SELECT c.*, u.display_name, u.username, u.profile_color, u.profile_avatar, u.avatar_image
+        FROM comments c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.id = ?
+    `).get(parentId);
+    
+    if (!parent || parent.is_deleted || parent.is_hidden || isThreadLocked(parent.id)) {
+        return res.redirect('/comments');
+    }
+    
+    res.render('addcomment', {
+        user: user,
+        parentComment: formatComment(parent, user)
+    });
+});
+
+// Add reply to comment
+app.post('/comments/reply/:id', (req, res) => {
+    const user = getCurrentUser(req);
+    
+    if (!user.loggedIn) {
+        return res.redirect('/login');
+    }
+    
+    const parentId = parseInt(req.params.id);
+    const parent = db.prepare(`
+        SELECT c.*, u.display_name, u.username, u.profile_color, u.profile_avatar, u.avatar_image
+        FROM comments c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.id = ?
+    `).get(parentId);
+    
+    if (!parent || parent.is_deleted || parent.is_hidden || isThreadLocked(parent.id)) {
+        return res.redirect('/comments');
+    }
+    
+    const replyText = (req.body && req.body.text) ? req.body.text.trim() : '';
+    
+    if (replyText && replyText.length > 0) {
+        const wait = commentLimiter.consume(user.id);
+        if (wait > 0) {
+            return tooManyRequests(res, wait).render('addcomment', {
+                user: user,
+                parentComment: formatComment(parent, user),
+                text: replyText,
+                errorMessage: `You're commenting too fast. Try again in ${describeWait(wait)}.`
+            });
+        }
+        
+        try {
+            addComment(io, user, replyText, parent);
+        } catch (error) {
+            console.error('Error adding reply:', error);
+        }
+    }
+    
+    res.redirect(`/comments#comment-${parent.id}`);
+});
+
+// Jump to a comment on whichever page of threads it is on now
+app.get('/comments/goto/:id', (req, res) => {
+    const commentId = parseInt(req.params.id);
+    const comment = db.prepare('SELECT id FROM comments WHERE id = ? AND is_pruned = 0').get(commentId);
+    
+    if (!comment) {
+        return res.redirect('/comments');
+    }
+    
+    res.redirect(`/comments?page=${getCommentPage(comment.id)}#comment-${comment.id}`);
+});
+
 // Edit comment page
 app.get('/comments/edit/:id', (req, res) => {
     const user = getCurrentUser(req);
@@ -235,7 +465,7 @@ app.get('/comments/edit/:id', (req, res) => {
     const commentId = parseInt(req.params.id);
     const comment = db.prepare('SELECT * FROM comments WHERE id = ?').get(commentId);
     
-    if (!comment || comment.user_id !== user.id) {
+    if (!comment || comment.is_deleted || comment.user_id !== user.id) {
         return res.redirect('/comments');
     }
     
@@ -262,20 +492,50 @@ app.post('/comments/edit/:id', (req, res) => {
     
     // Verify ownership
     const comment = db.prepare('SELECT * FROM comments WHERE id = ?').get(commentId);
-    if (!comment || comment.user_id !== user.id) {
+    if (!comment || comment.is_deleted || comment.user_id !== user.id) {
         return res.redirect('/comments');
     }
     
-    // Update comment
-    db.prepare(`
-        UPDATE comments 
-        SET text = ?, is_edited = 1, edit_count = edit_count + 1, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = ?
-    `).run(newText, commentId);
+    // Keep the old text as a revision, then update comment
+    editComment(io, user, comment, newText);
     
     res.redirect('/comments');
 });
 
+// Revision history of an edited comment, with a word-level diff between versions.
+// Deleted and hidden comments keep their history for moderators only.
+app.get('/comments/history/:id', (req, res) => {
+    const user = getCurrentUser(req);
+    
+    const commentId = parseInt(req.params.id);
+    const comment = db.prepare(`
+        SELECT c.*, u.username, u.display_name, u.profile_avatar, u.avatar_image
+        FROM comments c
+        JOIN users u ON c.user_id = u.id
+        WHERE c.id = ?
+    `).get(commentId);
+    
+    if (!comment || ((comment.is_deleted || comment.is_hidden) && !user.isModerator)) {
+        return res.redirect('/comments');
+    }
+    
+    res.render('commenthistory', {
+        user: user,
+        comment: {
+            id: comment.id,
+            author: comment.display_name || comment.username,
+            profileAvatar: comment.profile_avatar || '👤',
+            avatarUrl: avatarUrl(comment.avatar_image),
+            createdAt: comment.created_at,
+            isEdited: !!comment.is_edited,
+            isDeleted: !!comment.is_deleted,
+            isHidden: !!comment.is_hidden,
+            page: getCommentPage(comment.id)
+        },
+        versions: getCommentHistory(comment)
+    });
+});
+
 // Delete comment
 app.delete('/comments/delete/:id', (req, res) => {
     const user = getCurrentUser(req);
@@ -288,109 +548,145 @@ app.delete('/comments/delete/:id', (req, res) => {
     
     // Verify ownership
     const comment = db.prepare('SELECT * FROM comments WHERE id = ?').get(commentId);
-    if (!comment) {
+    if (!comment || comment.is_deleted) {
         return res.status(404).json({ success: false, message: 'Comment not found' });
     }
     
-    if (comment.user_id !== user.id) {
+    // Authors can delete their own comments; moderators can delete any comment
+    const isOwn = comment.user_id === user.id;
+    if (!isOwn && !user.isModerator) {
         return res.status(403).json({ success: false, message: 'You can only delete your own comments' });
     }
     
-    // Delete comment
-    db.prepare('DELETE FROM comments WHERE id = ?').run(commentId);
+    // Comments with replies become a "[deleted]" placeholder so the thread stays intact
+    deleteComment(user, comment);
     
     res.json({ success: true, message: 'Comment deleted successfully' });
 });
 
-// Mount auth routes
+// Report a comment to the moderators
+app.post('/comments/report/:id', (req, res) => {
+    const user = getCurrentUser(req);
+    
+    if (!user.loggedIn) {
+        return res.status(401).json({ success: false, message: 'Not logged in' });
+    }
+    
+    try {
+        const result = createReport(io, 'comment', parseInt(req.params.id), user.id, req.body.reason, req.body.details);
+        
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+        
+        res.json({
+            success: true,
+            autoHidden: result.autoHidden,
+            message: 'Thanks for letting us know. A moderator will take a look.'
+        });
+    } catch (error) {
+        console.error('Error reporting comment:', error);
+        res.status(500).json({ success: false, message: 'An error occurred while sending the report' });
+    }
+});
+
+// Make Socket.IO instance available in mounted routes
+function attachIo(req, res, next) {
+    req.io = io;
+    next();
+}
+
+// Mount auth routes and pass io instance (used to close chat sockets on logout)
 const authRoutes = require('./routes/auth');
-app.use('/api/auth', authRoutes);
+app.use('/api/auth', attachIo, authRoutes);
 
 // Mount profile routes and pass io instance
 const profileRoutes = require('./routes/profile');
-app.use('/profile', (req, res, next) => {
-    req.io = io; // Make Socket.IO instance available in profile routes
-    next();
-}, profileRoutes);
+app.use('/profile', attachIo, profileRoutes);
+
+// Mount chat routes (chat page, rooms and direct messages)
+const chatRoutes = require('./routes/chat');
+app.use('/chat', attachIo, chatRoutes);
+
+// Mount moderation routes (moderators and admins only)
+const moderationRoutes = require('./routes/moderation');
+app.use('/moderation', attachIo, moderationRoutes);
+
+// Mount notification routes (the notification list and marking read)
+const notificationRoutes = require('./routes/notifications');
+app.use('/notifications', attachIo, notificationRoutes);
+
+// Mount the JSON API; bad request bodies and errors there answer in its JSON error format
+const apiRoutes = require('./routes/api');
+app.use('/api/v1', attachIo, apiRoutes);
+app.use('/api/v1', handleApiError);
+
+// Mount user routes (public profile pages and the @mention picker)
+const userRoutes = require('./routes/users');
+app.use('/users', userRoutes);
 
-// Import and add poke email functionality
-const { sendPokeEmail } = require('./modules/sendEmail');
+// Mount search routes (full-text search over comments and chat)
+const searchRoutes = require('./routes/search');
+app.use('/search', searchRoutes);
 
-// Chat page
-app.get('/chat', (req, res) => {
+// Development tools such as email previews are never mounted in production
+if (process.env.NODE_ENV !== 'production') {
+    const devRoutes = require('./routes/dev');
+    app.use('/dev', devRoutes);
+}
+
+// Poke another user by username
+app.post('/send-poke', async (req, res) => {
     const user = getCurrentUser(req);
-    
-    // Redirect to login if not authenticated
     if (!user.loggedIn) {
-        return res.redirect('/login');
+        return res.status(401).json({ success: false, message: 'Please log in to poke people' });
     }
-    
-    // Get recent chat messages (last 50)
-    const messages = db.prepare(`
-        SELECT cm.*, u.display_name, u.username, u.profile_color, u.profile_avatar 
-        FROM chat_messages cm
-        JOIN users u ON cm.user_id = u.id
-        ORDER BY cm.created_at DESC
-        LIMIT 50
-    `).all().reverse(); // Reverse to show oldest first
-    
-    res.render('chat', { 
-        user: user,
-        messages: messages
-    });
-});
 
-// Poke email route
-app.post('/send-poke', async (req, res) => {
-  try {
-    const result = await sendPokeEmail();
-    if (result.success) {
-      res.json({ success: true, message: 'Poke sent successfully! 👋' });
-    } else {
-      res.status(500).json({ success: false, message: 'Failed to send poke email' });
+    try {
+        const result = await pokeUser(io, user, req.body.username);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+        res.json({ success: true, message: `You poked ${result.target.display_name || result.target.username}! 👋` });
+    } catch (error) {
+        console.error('Poke error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
     }
-  } catch (error) {
-    console.error('Poke email error:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
-  }
 });
 
-// Chat page
-app.get('/chat', (req, res) => {
-    const user = getCurrentUser(req);
-    
-    // Redirect to login if not authenticated
-    if (!user.loggedIn) {
-        return res.redirect('/login');
-    }
-    
-    // Get recent chat messages (last 50)
-    const messages = db.prepare(`
-        SELECT cm.*, u.display_name, u.username, u.profile_color, u.profile_avatar
-        FROM chat_messages cm
-        JOIN users u ON cm.user_id = u.id
-        ORDER BY cm.created_at DESC
-        LIMIT 50
-    `).all().reverse(); // Reverse to show oldest first
-    
-    res.render('chat', { 
-        user: user,
-        messages: messages
-    });
-});
+// Roles are read fresh for moderator-only socket events so demotions apply immediately
+function getUserRole(userId) {
+    const row = db.prepare('SELECT role FROM users WHERE id = ?').get(userId);
+    return row ? row.role : null;
+}
 
 // Socket.IO chat functionality
+// Connections are authenticated by requireSocketAuth, so the sender is always
+// taken from socket.user rather than from anything the client sends.
+// Each socket is subscribed to every room its user belongs to, so unread
+// counts update live; the room being viewed is tracked in socket.data.
 io.on('connection', (socket) => {
-    console.log('User connected to chat:', socket.id);
+    console.log('User connected to chat:', socket.id, socket.user.username);
+    socket.join(sessionRoom(socket.request.sessionID));
+    socket.join(userRoom(socket.user.id));
+    
+    ensureMainRoomMember(socket.user.id);
+    getUserRoomIds(socket.user.id).forEach(roomId => socket.join(socketRoom(roomId)));
     
-    // Join chat room
-    socket.on('join-chat', (userData) => {
-        socket.userData = userData;
-        socket.join('main-chat');
+    // Start viewing a room
+    socket.on('join-chat', (data) => {
+        const roomId = data && parseInt(data.roomId);
         
-        // Notify others that user joined
-        socket.to('main-chat').emit('user-joined', {
-            username: userData.displayName || userData.username,
+        if (!roomId || !isMember(roomId, socket.user.id)) {
+            return;
+        }
+        
+        socket.data.activeRoomId = roomId;
+        
+        // Notify others in the room that user joined
+        socket.to(socketRoom(roomId)).emit('user-joined', {
+            roomId: roomId,
+            username: socket.user.display_name || socket.user.username,
             timestamp: new Date().toISOString()
         });
     });
@@ -398,56 +694,146 @@ io.on('connection', (socket) => {
     // Handle new chat messages
     socket.on('chat-message', (data) => {
         try {
-            const { message, userId } = data;
+            const message = (data && typeof data.message === 'string') ? data.message.trim() : '';
+            const roomId = data && parseInt(data.roomId);
             
-            if (!message || !userId) {
+            if (!message || message.length > 500 || !roomId) {
                 return;
             }
             
-            // Get user info
-            const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
-            if (!user) {
+            if (!isMember(roomId, socket.user.id)) {
                 return;
             }
             
+            const wait = chatMessageLimiter.consume(socket.user.id);
+            if (wait > 0) {
+                return socket.emit('rate-limited', {
+                    message: message,
+                    retryAfter: wait,
+                    error: `You're sending messages too fast. Wait ${describeWait(wait)} and send it again.`
+                });
+            }
+            
+            // Get current user info so display name and avatar changes are picked up
+            const user = db.prepare('SELECT * FROM users WHERE id = ?').get(socket.user.id);
+            if (!user) {
+                return socket.disconnect(true);
+            }
+            
             // Save message to database
             const result = db.prepare(`
-                INSERT INTO chat_messages (user_id, message, created_at)
-                VALUES (?, ?, CURRENT_TIMESTAMP)
-            `).run(userId, message);
+                INSERT INTO chat_messages (user_id, room_id, message, created_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            `).run(user.id, roomId, message);
+            
+            // The sender has obviously read their own message
+            markRoomRead(roomId, user.id);
             
             // Prepare message data for broadcast
             const messageData = {
                 id: result.lastInsertRowid,
+                room_id: roomId,
                 message: message,
-                user_id: userId,
+                user_id: user.id,
                 display_name: user.display_name || user.username,
                 username: user.username,
                 profile_color: user.profile_color || '#000000',
                 profile_avatar: user.profile_avatar || '👤',
+                avatar_url: avatarUrl(user.avatar_image),
+                message_html: linkMentions(message),
                 created_at: new Date().toISOString()
             };
             
-            // Broadcast message to all other users in chat (excluding sender)
-            socket.broadcast.to('main-chat').emit('new-message', messageData);
+            // Broadcast message to all other members of the room (excluding sender)
+            socket.to(socketRoom(roomId)).emit('new-message', messageData);
             
             // Send confirmation back to sender
             socket.emit('message-sent', messageData);
             
-            console.log(`Chat message from ${user.username}: ${message}`);
+            // Mentioned users outside a private room or DM can't open it, so they aren't told
+            const room = getRoom(roomId);
+            notifyMentions(io, user, message, {
+                where: room.type === 'direct' ? 'a direct message' : `#${room.name}`,
+                url: `/chat?room=${roomId}`,
+                canSee: userId => room.type === 'public' || isMember(roomId, userId)
+            });
+            
+            console.log(`Chat message from ${user.username} in room ${roomId}: ${message}`);
             
         } catch (error) {
             console.error('Error handling chat message:', error);
         }
     });
     
+    // Load older messages: { roomId, before: oldest message id shown }
+    socket.on('load-history', (data, callback) => {
+        if (typeof callback !== 'function') {
+            return;
+        }
+        
+        const roomId = data && parseInt(data.roomId);
+        if (!roomId || !isMember(roomId, socket.user.id)) {
+            return callback({ success: false, message: 'Room not found' });
+        }
+        
+        try {
+            const beforeId = parseInt(data.before) || null;
+            const includeHidden = hasRole(getUserRole(socket.user.id), 'moderator');
+            const { messages, hasMore } = getRoomMessages(roomId, beforeId, data.limit, includeHidden);
+            callback({ success: true, messages: messages, hasMore: hasMore });
+        } catch (error) {
+            console.error('Error loading chat history:', error);
+            callback({ success: false, message: 'Error loading history' });
+        }
+    });
+    
+    // Moderators hide, unhide or delete a message: { messageId, action }
+    socket.on('moderate-message', (data, callback) => {
+        const respond = typeof callback === 'function' ? callback : () => {};
+        
+        if (!hasRole(getUserRole(socket.user.id), 'moderator')) {
+            return respond({ success: false, message: 'Moderators only' });
+        }
+        
+        try {
+            const result = moderateChatMessage(io, socket.user.id, data && parseInt(data.messageId), data && data.action);
+            respond(result.error ? { success: false, message: result.error } : { success: true });
+        } catch (error) {
+            console.error('Error moderating chat message:', error);
+            respond({ success: false, message: 'Error moderating message' });
+        }
+    });
+    
+    // Anyone in the room can report a message: { messageId, reason, details }
+    socket.on('report-message', (data, callback) => {
+        const respond = typeof callback === 'function' ? callback : () => {};
+        
+        try {
+            const result = createReport(io, 'chat', data && parseInt(data.messageId), socket.user.id, data && data.reason, data && data.details);
+            respond(result.error ? { success: false, message: result.error } : { success: true, autoHidden: result.autoHidden });
+        } catch (error) {
+            console.error('Error reporting chat message:', error);
+            respond({ success: false, message: 'Error sending report' });
+        }
+    });
+    
+    // A message arrived in the room being viewed
+    socket.on('mark-read', (data) => {
+        const roomId = data && parseInt(data.roomId);
+        
+        if (roomId) {
+            markRoomRead(roomId, socket.user.id);
+        }
+    });
+    
     // Handle user disconnect
     socket.on('disconnect', () => {
         console.log('User disconnected from chat:', socket.id);
         
-        if (socket.userData) {
-            socket.to('main-chat').emit('user-left', {
-                username: socket.userData.displayName || socket.userData.username,
+        if (socket.data.activeRoomId) {
+            socket.to(socketRoom(socket.data.activeRoomId)).emit('user-left', {
+                roomId: socket.data.activeRoomId,
+                username: socket.user.display_name || socket.user.username,
                 timestamp: new Date().toISOString()
             });
         }
@@ -456,6 +842,7 @@ io.on('connection', (socket) => {
 
 // Handle cookie reset (legacy support)
 app.post('/logout', (req, res) => {
+    disconnectSessionSockets(io, req.sessionID);
     req.session.destroy((err) => {
         if (err) {
             console.error('Logout error:', err);
@@ -467,4 +854,7 @@ app.post('/logout', (req, res) => {
 
 httpServer.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
+    
+    // Queued emails are sent from this process in the background
+    startOutboxWorker();
 });
\ No newline at end of file
@@ -0,0 +1,64 @@
+// test/api-tokens.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, Client, registerUser } = require('./helpers');
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer();
+  owner = await registerUser(server, 'tokenowner');
+});
+
+after(async () => {
+  await server.stop();
+});
+
+// Create a token on the profile page and read it from the one page that shows it
+async function createToken(name, scopes) {
+  const response = await owner.submit('/profile/api-tokens', { name, scopes, expiresInDays: '30' }, '/profile');
+  const match = (await response.text()).match(/class="api-token-value">(efp_[\w-]+)</);
+  assert.ok(match, 'the new token is shown');
+  return match[1];
+}
+
+// A client with no session, like a script using the token
+function callApi(token, urlPath, options = {}) {
+  return new Client(server).request(urlPath, {
+    ...options,
+    headers: { Authorization: `Bearer ${token}` }
+  });
+}
+
+test('a token can only do what its scopes allow', async () => {
+  const token = await createToken('read only', 'read');
+
+  const me = await callApi(token, '/api/v1/me');
+  assert.strictEqual(me.status, 200);
+  assert.strictEqual((await me.json()).data.username, 'tokenowner');
+
+  const post = await callApi(token, '/api/v1/comments', { method: 'POST', json: { text: 'Hello' } });
+  assert.strictEqual(post.status, 403);
+  assert.strictEqual((await post.json()).error.code, 'insufficient_scope');
+  assert.match(post.headers.get('www-authenticate'), /scope="comments:write"/);
+
+  const update = await callApi(token, '/api/v1/me', { method: 'PATCH', json: { bio: 'Changed' } });
+  assert.strictEqual(update.status, 403);
+  assert.strictEqual((await update.json()).error.code, 'insufficient_scope');
+});
+
+test('a token with the scope can write without a CSRF token', async () => {
+  const token = await createToken('writer', ['read', 'comments:write']);
+
+  const post = await callApi(token, '/api/v1/comments', { method: 'POST', json: { text: 'Posted with a token' } });
+  assert.strictEqual(post.status, 201);
+  assert.strictEqual((await post.json()).data.text, 'Posted with a token');
+});
+
+test('an unknown token is refused rather than ignored', async () => {
+  const response = await callApi('efp_not-a-real-token', '/api/v1/me');
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual((await response.json()).error.code, 'invalid_token');
+  assert.match(response.headers.get('www-authenticate'), /invalid_token/);
+});
@@ -0,0 +1,90 @@
+// test/browser.js
+// Runs a page from the test server in jsdom, together with the scripts it
+// loads from /public/js. jsdom can't load ES modules, so each script is joined
+// with the modules it imports and run as one block. fetch() goes to the test
+// server as the page's client; the Socket.IO client is a fake the test drives.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT_DIR = path.join(__dirname, '..', 'public', 'js');
+
+function bundle(file, included = new Set()) {
+  if (included.has(file)) {
+    return '';
+  }
+  included.add(file);
+
+  let imports = '';
+  const source = fs.readFileSync(path.join(SCRIPT_DIR, file), 'utf8')
+    .replace(/^import \{[^}]*\} from '\.\/([\w-]+\.js)';\n/gm, (line, dependency) => {
+      imports += bundle(dependency, included);
+      return '';
+    })
+    .replace(/^export /gm, '');
+
+  return imports + source;
+}
+
+// Stands in for io(): records what the page emits, and receive() plays server events
+function fakeSocketIo() {
+  const handlers = {};
+  const socket = {
+    emitted: [],
+    on(event, handler) {
+      (handlers[event] = handlers[event] || []).push(handler);
+    },
+    emit(...args) {
+      socket.emitted.push(args);
+    },
+    receive(event, data) {
+      (handlers[event] || []).forEach(handler => handler(data));
+    }
+  };
+  return socket;
+}
+
+/**
+ * Open urlPath as client and run its scripts. Resolves to
+ * { window, document, socket }.
+ */
+async function loadPage(client, urlPath) {
+  const html = await client.html(urlPath);
+  const dom = new JSDOM(html, { url: client.server.url + urlPath, runScripts: 'outside-only' });
+  const window = dom.window;
+  const socket = fakeSocketIo();
+
+  window.io = () => socket;
+  window.confirm = () => true;
+  window.alert = () => {};
+  window.fetch = (url, options = {}) => client.request(url, {
+    method: options.method,
+    headers: options.headers,
+    body: options.body
+  });
+
+  for (const script of window.document.querySelectorAll('script[type="module"]')) {
+    const file = script.getAttribute('src').replace('/public/js/', '');
+    window.eval(`{\n${bundle(file)}\n}`);
+  }
+
+  return { window, document: window.document, socket };
+}
+
+// Resolves once check() returns something truthy
+async function waitFor(check, timeout = 2000) {
+  const start = Date.now();
+  let result;
+  while (!(result = check())) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for the page');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return result;
+}
+
+module.exports = {
+  loadPage,
+  waitFor
+};
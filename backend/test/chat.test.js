@@ -0,0 +1,85 @@
+// test/chat.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, registerUser } = require('./helpers');
+const { loadPage, waitFor } = require('./browser');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('poke replies show a display name with markup in it as text', async () => {
+  const displayName = '<img src=x onerror="window.pwned = true">';
+  await registerUser(server, 'mallory', { displayName });
+  const victim = await registerUser(server, 'victor');
+  const { window, document, socket } = await loadPage(victim, '/chat');
+
+  // A message from mallory arrives and victor pokes her from it
+  const roomId = Number(document.getElementById('chatContainer').getAttribute('data-room-id'));
+  socket.receive('new-message', {
+    id: 1,
+    room_id: roomId,
+    user_id: 0,
+    username: 'mallory',
+    display_name: displayName,
+    message: 'hi',
+    created_at: new Date().toISOString()
+  });
+  document.querySelector('[data-message-id="1"] [data-poke]').click();
+
+  const notice = await waitFor(() => document.querySelector('.message.system'));
+  assert.match(notice.textContent, /^You poked <img src=x onerror="window\.pwned = true">! 👋 at /);
+  assert.strictEqual(notice.querySelector('img'), null);
+  assert.strictEqual(window.pwned, undefined);
+});
+
+test('a display name with quotes stays inside the poke button title', async () => {
+  const reader = await registerUser(server, 'quinn');
+  const { document, socket } = await loadPage(reader, '/chat');
+
+  const roomId = Number(document.getElementById('chatContainer').getAttribute('data-room-id'));
+  const displayName = 'x" data-mod-action="delete';
+  socket.receive('new-message', {
+    id: 2,
+    room_id: roomId,
+    user_id: 0,
+    username: 'quoter',
+    display_name: displayName,
+    message: 'hi',
+    created_at: new Date().toISOString()
+  });
+
+  const button = document.querySelector('[data-message-id="2"] [data-poke]');
+  assert.strictEqual(button.title, `Poke ${displayName}`);
+  assert.strictEqual(button.hasAttribute('data-mod-action'), false);
+  assert.strictEqual(document.querySelector('[data-message-id="2"] .username').textContent.trim(), displayName);
+});
+
+test('join notices show usernames as text', async () => {
+  const reader = await registerUser(server, 'rita');
+  const { document, socket } = await loadPage(reader, '/chat');
+
+  const roomId = Number(document.getElementById('chatContainer').getAttribute('data-room-id'));
+  socket.receive('user-joined', { roomId, username: '<b>bold</b>', timestamp: new Date().toISOString() });
+
+  const notice = document.querySelector('.message.system');
+  assert.match(notice.textContent, /^<b>bold<\/b> joined the chat at /);
+  assert.strictEqual(notice.querySelector('b'), null);
+});
+
+test('the chat page only shows errors the server set, once', async () => {
+  const client = await registerUser(server, 'sybil');
+
+  assert.doesNotMatch(await client.html('/chat?error=Your+account+is+closed'), /Your account is closed/);
+
+  const response = await client.submit('/chat/rooms', { name: 'Not a room name!' }, '/chat');
+  assert.strictEqual(response.headers.get('location'), '/chat');
+  assert.match(await client.html('/chat'), /Room names must be/);
+  assert.doesNotMatch(await client.html('/chat'), /Room names must be/);
+});
@@ -0,0 +1,59 @@
+// test/comments.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, registerUser, setRole } = require('./helpers');
+
+let server;
+let author;
+let moderator;
+
+before(async () => {
+  server = await startServer();
+  author = await registerUser(server, 'kate');
+  moderator = await registerUser(server, 'leo');
+  setRole(server, 'leo', 'moderator');
+});
+
+after(async () => {
+  await server.stop();
+});
+
+// Call the JSON API with the session, the way the site's scripts do
+async function api(client, method, urlPath, json) {
+  const { data } = await (await client.request('/api/v1/csrf-token')).json();
+  return client.request(`/api/v1${urlPath}`, { method, json, headers: { 'X-CSRF-Token': data.csrfToken } });
+}
+
+async function postComment(text, parentId) {
+  const response = await api(author, 'POST', '/comments', { text, parentId });
+  return (await response.json()).data.id;
+}
+
+test('a deleted comment without replies disappears but keeps its history', async () => {
+  const id = await postComment('First draft');
+  await api(author, 'PATCH', `/comments/${id}`, { text: 'Second draft' });
+  assert.strictEqual((await api(author, 'DELETE', `/comments/${id}`)).status, 204);
+
+  assert.strictEqual((await author.request(`/api/v1/comments/${id}`)).status, 404);
+  const { data } = await (await author.request('/api/v1/comments')).json();
+  assert.ok(!data.some(comment => comment.id === id));
+  assert.doesNotMatch(await author.html('/comments'), new RegExp(`id="comment-${id}"`));
+
+  const history = await moderator.html(`/comments/history/${id}`);
+  // Shown as a word diff, so the versions' words are in separate spans
+  assert.match(history, /First/);
+  assert.match(history, /Second/);
+});
+
+test('a deleted parent stays as a placeholder until its last reply goes', async () => {
+  const parentId = await postComment('Parent');
+  const replyId = await postComment('Reply', parentId);
+
+  await api(author, 'DELETE', `/comments/${parentId}`);
+  const placeholder = await (await author.request(`/api/v1/comments/${parentId}`)).json();
+  assert.strictEqual(placeholder.data.text, null);
+
+  await api(author, 'DELETE', `/comments/${replyId}`);
+  assert.strictEqual((await author.request(`/api/v1/comments/${parentId}`)).status, 404);
+  assert.match(await moderator.html(`/comments/history/${parentId}`), /Parent/);
+});
@@ -0,0 +1,84 @@
+// test/csrf.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, registerUser } = require('./helpers');
+
+let server;
+let user;
+
+before(async () => {
+  server = await startServer();
+  user = await registerUser(server, 'carol');
+});
+
+after(async () => {
+  await server.stop();
+});
+
+async function bio() {
+  const response = await user.request('/api/v1/me');
+  return (await response.json()).data.bio;
+}
+
+test('forms without the session token get the error page and change nothing', async () => {
+  const response = await user.request('/profile/update-bio', { method: 'POST', form: { bio: 'Forged' } });
+  assert.strictEqual(response.status, 403);
+  assert.match(await response.text(), /Request Blocked/);
+
+  // A token from another session doesn't count either
+  const other = await registerUser(server, 'dave');
+  const otherToken = await other.csrfToken('/profile');
+  const forged = await user.request('/profile/update-bio', { method: 'POST', form: { bio: 'Forged', _csrf: otherToken } });
+  assert.strictEqual(forged.status, 403);
+
+  assert.notStrictEqual(await bio(), 'Forged');
+});
+
+test('forms with the session token go through', async () => {
+  const response = await user.submit('/profile/update-bio', { bio: 'Hello there' }, '/profile');
+  assert.notStrictEqual(response.status, 403);
+  assert.strictEqual(await bio(), 'Hello there');
+});
+
+// A 1x1 PNG
+const PIXEL = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4nGP4z8DwHwAFAAH/iZk9HQAAAABJRU5ErkJggg==', 'base64');
+
+function avatarForm(fields = {}) {
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  form.append('avatarImage', new Blob([PIXEL], { type: 'image/png' }), 'avatar.png');
+  return form;
+}
+
+test('the avatar upload reads its token from the form, not the URL', async () => {
+  const token = await user.csrfToken('/profile');
+
+  const inUrl = await user.request(`/profile/upload-avatar?_csrf=${token}`, { method: 'POST', body: avatarForm() });
+  assert.strictEqual(inUrl.status, 403);
+
+  const inForm = await user.request('/profile/upload-avatar', { method: 'POST', body: avatarForm({ _csrf: token }) });
+  assert.strictEqual(inForm.status, 200);
+  assert.match(await inForm.text(), /Avatar image uploaded/);
+});
+
+test('fetch calls without the token get a JSON error', async () => {
+  const response = await user.request('/comments/report/1', { method: 'POST', json: { reason: 'spam' } });
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual((await response.json()).success, false);
+});
+
+test('session calls to the API need the token from /api/v1/csrf-token', async () => {
+  const refused = await user.request('/api/v1/comments', { method: 'POST', json: { text: 'No token' } });
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual((await refused.json()).error.code, 'csrf_failed');
+
+  const { data } = await (await user.request('/api/v1/csrf-token')).json();
+  const posted = await user.request('/api/v1/comments', {
+    method: 'POST',
+    json: { text: 'With token' },
+    headers: { 'X-CSRF-Token': data.csrfToken }
+  });
+  assert.strictEqual(posted.status, 201);
+});
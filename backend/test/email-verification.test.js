@@ -0,0 +1,59 @@
+// test/email-verification.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { PASSWORD, startServer, registerUser, waitForMail } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+// The token from the confirmation link in an email
+function linkToken(message) {
+  return decodeURIComponent(/verify-email\?token=([\w.%-]+)/.exec(message.text)[1]);
+}
+
+async function me(client) {
+  const response = await client.request('/api/v1/me');
+  return (await response.json()).data;
+}
+
+test('the emailed link confirms the address, and an altered one does not', async () => {
+  const client = await registerUser(server, 'frank');
+  const token = linkToken(await waitForMail(server, 'frank@example.com'));
+  assert.strictEqual((await me(client)).emailVerified, false);
+
+  // Changing the payload breaks the signature
+  const [payload, signature] = token.split('.');
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...data, email: 'other@example.com' })).toString('base64url');
+  const refused = await client.request(`/api/auth/verify-email?token=${forged}.${signature}`);
+  assert.doesNotMatch(await refused.text(), /is confirmed/);
+  assert.strictEqual((await me(client)).emailVerified, false);
+
+  const confirmed = await client.request(`/api/auth/verify-email?token=${encodeURIComponent(token)}`);
+  assert.match(await confirmed.text(), /is confirmed/);
+  assert.strictEqual((await me(client)).emailVerified, true);
+});
+
+test('a new address only replaces the old one once confirmed', async () => {
+  const client = await registerUser(server, 'grace');
+  await client.submit('/profile/update-email', { currentPassword: PASSWORD, newEmail: 'grace.new@example.com' }, '/profile');
+
+  const pending = await me(client);
+  assert.strictEqual(pending.email, 'grace@example.com');
+  assert.strictEqual(pending.pendingEmail, 'grace.new@example.com');
+
+  const token = linkToken(await waitForMail(server, 'grace.new@example.com'));
+  await client.request(`/api/auth/verify-email?token=${encodeURIComponent(token)}`);
+
+  const changed = await me(client);
+  assert.strictEqual(changed.email, 'grace.new@example.com');
+  assert.strictEqual(changed.pendingEmail, null);
+  assert.strictEqual(changed.emailVerified, true);
+});
@@ -0,0 +1,190 @@
+// test/helpers.js
+// Shared setup for the tests: a real server on a scratch database, and a
+// small cookie-keeping HTTP client to talk to it.
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const PASSWORD = 'Passw0rd!';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js on a free port with its own database, avatar and mail
+ * folders. Resolves to { url, databasePath, mailDir, stop() } once it is listening.
+ */
+async function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epic-forum-test-'));
+  const port = await freePort();
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      NODE_ENV: 'test',
+      DATABASE_PATH: path.join(dir, 'forum.db'),
+      AVATAR_DIR: path.join(dir, 'avatars'),
+      MAIL_TRANSPORT: 'json',
+      MAIL_OUTPUT_DIR: path.join(dir, 'mail'),
+      VIEWS_DIR: path.join(__dirname, '..', '..', 'views'),
+      SESSION_SECRET: 'test-secret'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Server did not start:\n' + output)), 15000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server is running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    databasePath: path.join(dir, 'forum.db'),
+    mailDir: path.join(dir, 'mail'),
+    async stop() {
+      child.removeAllListeners('exit');
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill();
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Every client gets its own address, so per-IP limits only count what a test means them to
+let nextAddress = 1;
+
+/**
+ * An HTTP client for one browser: keeps its cookies and never follows redirects.
+ * ip is sent as X-Forwarded-For, which the server trusts from loopback.
+ */
+class Client {
+  constructor(server, ip = `198.51.100.${nextAddress++}`) {
+    this.server = server;
+    this.ip = ip;
+    this.cookies = new Map();
+  }
+
+  async request(urlPath, { method = 'GET', form, json, body, headers = {} } = {}) {
+    const options = { method, redirect: 'manual', headers: { 'X-Forwarded-For': this.ip, ...headers } };
+
+    if (this.cookies.size > 0) {
+      options.headers.Cookie = [...this.cookies].map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+    if (form) {
+      // Arrays are sent as repeated fields, like ticked checkboxes
+      options.body = new URLSearchParams(Object.entries(form).flatMap(([name, value]) => [].concat(value).map(item => [name, item])));
+    } else if (json) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(json);
+    } else if (body) {
+      options.body = body;
+    }
+
+    const response = await fetch(this.server.url + urlPath, options);
+    for (const cookie of response.headers.getSetCookie()) {
+      const [pair] = cookie.split(';');
+      const index = pair.indexOf('=');
+      this.cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    }
+    return response;
+  }
+
+  async html(urlPath) {
+    const response = await this.request(urlPath);
+    return response.text();
+  }
+
+  // The CSRF token from a page's hidden _csrf field
+  async csrfToken(urlPath = '/api/auth/register') {
+    const match = (await this.html(urlPath)).match(/name="_csrf" value="([0-9a-f]+)"/);
+    return match[1];
+  }
+
+  // Submit a form the way the browser does, with the session's CSRF token
+  async submit(urlPath, fields = {}, tokenPage) {
+    const _csrf = await this.csrfToken(tokenPage);
+    return this.request(urlPath, { method: 'POST', form: { ...fields, _csrf } });
+  }
+}
+
+/**
+ * Register an account and return a client logged in as it
+ */
+async function registerUser(server, username, { displayName = username } = {}) {
+  const client = new Client(server);
+  await client.submit('/api/auth/register', {
+    username,
+    password: PASSWORD,
+    email: `${username}@example.com`,
+    displayName
+  });
+
+  const response = await client.submit('/api/auth/login', { username, password: PASSWORD }, '/api/auth/login');
+  // A failed login goes back to the login page with an error
+  if (response.status !== 302 || response.headers.get('location').startsWith('/api/auth/login')) {
+    throw new Error(`Could not log in as ${username}`);
+  }
+  return client;
+}
+
+// Give a user a role with the same console helper admins use
+function setRole(server, username, role) {
+  execFileSync(process.execPath, [path.join(__dirname, '..', 'modules', 'set-role.js'), username, role], {
+    env: { ...process.env, DATABASE_PATH: server.databasePath },
+    stdio: 'ignore'
+  });
+}
+
+/**
+ * Wait for the newest email sent to an address and return it as nodemailer's
+ * JSON message ({ subject, text, html, ... }). Mail goes out from a queue, so
+ * it can arrive a moment after the request that sent it.
+ */
+async function waitForMail(server, recipient, timeout = 5000) {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const messages = fs.existsSync(server.mailDir) ? fs.readdirSync(server.mailDir).sort().reverse() : [];
+    for (const file of messages) {
+      const message = JSON.parse(fs.readFileSync(path.join(server.mailDir, file), 'utf8'));
+      if (message.to.some(to => to.address === recipient)) {
+        return message;
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`No email arrived for ${recipient}`);
+}
+
+module.exports = {
+  PASSWORD,
+  startServer,
+  Client,
+  registerUser,
+  setRole,
+  waitForMail
+};
@@ -0,0 +1,65 @@
+// test/rate-limit.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { PASSWORD, startServer, Client, registerUser } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+// Each login comes from a new client, so a new address
+function loginFromNewAddress(username, password) {
+  return new Client(server).submit('/api/auth/login', { username, password }, '/api/auth/login');
+}
+
+test('failed logins for one account are limited per address', async () => {
+  await registerUser(server, 'alice');
+  const guesser = new Client(server);
+
+  for (let i = 0; i < 5; i++) {
+    const response = await guesser.submit('/api/auth/login', { username: i % 2 ? 'alice' : ' ALICE ', password: 'wrong-password' }, '/api/auth/login');
+    assert.strictEqual(response.status, 302);
+  }
+
+  // Even the right password is turned away from that address until the window passes
+  const response = await guesser.submit('/api/auth/login', { username: 'alice', password: PASSWORD }, '/api/auth/login');
+  assert.strictEqual(response.status, 429);
+  assert.ok(Number(response.headers.get('retry-after')) > 0);
+});
+
+test('guesses from other addresses do not lock the owner out', async () => {
+  await registerUser(server, 'amy');
+
+  for (let i = 0; i < 12; i++) {
+    const response = await loginFromNewAddress('amy', 'wrong-password');
+    assert.strictEqual(response.status, 302);
+  }
+
+  const owner = await loginFromNewAddress('amy', PASSWORD);
+  assert.strictEqual(owner.status, 302);
+  assert.ok(!owner.headers.get('location').startsWith('/api/auth/login'));
+});
+
+test('failed logins from one address are limited across usernames', async () => {
+  await registerUser(server, 'bob');
+  const client = new Client(server);
+
+  for (let i = 0; i < 20; i++) {
+    const response = await client.submit('/api/auth/login', { username: `nobody${i}`, password: 'wrong-password' }, '/api/auth/login');
+    assert.strictEqual(response.status, 302);
+  }
+
+  const response = await client.submit('/api/auth/login', { username: 'bob', password: PASSWORD }, '/api/auth/login');
+  assert.strictEqual(response.status, 429);
+
+  // The account itself isn't locked, so bob can still log in from elsewhere
+  const elsewhere = await loginFromNewAddress('bob', PASSWORD);
+  assert.strictEqual(elsewhere.status, 302);
+  assert.ok(!elsewhere.headers.get('location').startsWith('/api/auth/login'));
+});
@@ -0,0 +1,83 @@
+// test/security-headers.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { startServer, Client, registerUser } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+function styleNonce(policy) {
+  return /style-src [^;]*'nonce-([^']+)'/.exec(policy)[1];
+}
+
+// Everything the policy would block: inline scripts, on* handlers, style
+// attributes and <style> blocks without this response's nonce
+function blockedByPolicy(html, nonce) {
+  const { document } = new JSDOM(html).window;
+  const blocked = [];
+
+  for (const element of document.querySelectorAll('*')) {
+    if (element.tagName === 'SCRIPT' && !element.hasAttribute('src')) {
+      blocked.push('inline <script>');
+    }
+    if (element.tagName === 'STYLE' && element.getAttribute('nonce') !== nonce) {
+      blocked.push('<style> without the nonce');
+    }
+    for (const { name } of element.attributes) {
+      if (name.startsWith('on') || name === 'style') {
+        blocked.push(`${name}="" on <${element.tagName.toLowerCase()}>`);
+      }
+    }
+  }
+  return blocked;
+}
+
+test('pages only use what the policy allows', async () => {
+  const visitor = new Client(server);
+  const member = await registerUser(server, 'erin');
+  const pages = [
+    [visitor, '/api/auth/login'],
+    [visitor, '/api/auth/register'],
+    [member, '/'],
+    [member, '/chat'],
+    [member, '/profile']
+  ];
+
+  for (const [client, urlPath] of pages) {
+    const response = await client.request(urlPath);
+    assert.strictEqual(response.status, 200, urlPath);
+
+    const policy = response.headers.get('content-security-policy');
+    assert.match(policy, /script-src 'self'(;|$)/, urlPath);
+    assert.deepStrictEqual(blockedByPolicy(await response.text(), styleNonce(policy)), [], urlPath);
+  }
+});
+
+test('every response gets a new nonce', async () => {
+  const client = new Client(server);
+  const first = await client.request('/api/auth/login');
+  const second = await client.request('/api/auth/login');
+  assert.notStrictEqual(
+    styleNonce(first.headers.get('content-security-policy')),
+    styleNonce(second.headers.get('content-security-policy'))
+  );
+});
+
+test('framing is refused and HSTS is only sent over HTTPS', async () => {
+  const client = new Client(server);
+  const plain = await client.request('/api/auth/login');
+  assert.strictEqual(plain.headers.get('x-frame-options'), 'DENY');
+  assert.strictEqual(plain.headers.get('x-content-type-options'), 'nosniff');
+  assert.strictEqual(plain.headers.get('strict-transport-security'), null);
+
+  const secure = await client.request('/api/auth/login', { headers: { 'X-Forwarded-Proto': 'https' } });
+  assert.match(secure.headers.get('strict-transport-security'), /max-age=\d+/);
+});
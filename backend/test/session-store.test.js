@@ -0,0 +1,57 @@
+// test/session-store.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'epic-forum-test-'));
+process.env.DATABASE_PATH = path.join(dir, 'forum.db');
+const db = require('../database');
+const SQLiteSessionStore = require('../modules/session-store');
+
+let store;
+let get;
+let set;
+let destroy;
+
+before(() => {
+  store = new SQLiteSessionStore(db);
+  get = promisify(store.get.bind(store));
+  set = promisify(store.set.bind(store));
+  destroy = promisify(store.destroy.bind(store));
+});
+
+after(() => {
+  clearInterval(store.cleanupTimer);
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function newSession(fields = {}) {
+  return { cookie: { expires: new Date(Date.now() + 60 * 60 * 1000) }, ...fields };
+}
+
+test('saving a loaded session updates its row', async () => {
+  await set('kept', newSession({ userAgent: 'Firefox' }));
+
+  const sess = await get('kept');
+  sess.userAgent = 'Chrome';
+  await set('kept', sess);
+
+  const row = db.prepare('SELECT user_agent, session_data FROM sessions WHERE id = ?').get('kept');
+  assert.strictEqual(row.user_agent, 'Chrome');
+  assert.strictEqual(JSON.parse(row.session_data).stored, undefined);
+});
+
+test('a request still in flight can not bring back a revoked session', async () => {
+  await set('revoked', newSession({ userId: null, isLoggedIn: true }));
+  const inFlight = await get('revoked');
+
+  // Signed out from the session list while the request was running
+  await destroy('revoked');
+  await set('revoked', inFlight);
+
+  assert.strictEqual(await get('revoked'), null);
+});
@@ -0,0 +1,98 @@
+// test/two-factor.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { PASSWORD, startServer, Client, registerUser } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+// What an authenticator app shows for a base32 secret, `offset` 30 second steps from now
+function totp(secret, offset = 0) {
+  let bits = '';
+  for (const char of secret.replace(/\s/g, '')) {
+    bits += 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'.indexOf(char).toString(2).padStart(5, '0');
+  }
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const binary = hmac.readUInt32BE(hmac[hmac.length - 1] & 0xf) & 0x7fffffff;
+  return String(binary % 1000000).padStart(6, '0');
+}
+
+// Turn 2FA on from the profile page. Resolves to { secret, recoveryCodes }.
+async function enableTwoFactor(client) {
+  const setup = await (await client.submit('/profile/two-factor/setup', {}, '/profile')).text();
+  const secret = /class="totp-secret">([A-Z2-7 ]+)</.exec(setup)[1];
+
+  const enabled = await (await client.submit('/profile/two-factor/enable', { code: totp(secret) }, '/profile')).text();
+  const recoveryCodes = [...enabled.matchAll(/<li>([0-9a-f]{5}-[0-9a-f]{5})<\/li>/g)].map(match => match[1]);
+  assert.strictEqual(recoveryCodes.length, 10);
+  return { secret, recoveryCodes };
+}
+
+// Log in with the password; resolves to the client, waiting at the code prompt
+async function startLogin(username) {
+  const client = new Client(server);
+  const response = await client.submit('/api/auth/login', { username, password: PASSWORD }, '/api/auth/login');
+  assert.strictEqual(response.headers.get('location'), '/api/auth/login/verify');
+  return client;
+}
+
+function enterCode(client, code) {
+  return client.submit('/api/auth/login/verify', { code }, '/api/auth/login/verify');
+}
+
+async function isLoggedIn(client) {
+  return (await client.request('/api/v1/me')).status === 200;
+}
+
+test('the password alone does not log in once 2FA is on', async () => {
+  const { secret } = await enableTwoFactor(await registerUser(server, 'heidi'));
+
+  const client = await startLogin('heidi');
+  assert.strictEqual(await isLoggedIn(client), false);
+
+  const wrong = await enterCode(client, totp(secret) === '000000' ? '111111' : '000000');
+  assert.match(wrong.headers.get('location'), /^\/api\/auth\/login\/verify\?error=/);
+  assert.strictEqual(await isLoggedIn(client), false);
+
+  // The enrollment code's step is used up, so the app's next code is needed
+  const right = await enterCode(client, totp(secret, 1));
+  assert.strictEqual(right.status, 302);
+  assert.strictEqual(await isLoggedIn(client), true);
+});
+
+test('a code works only once', async () => {
+  const { secret } = await enableTwoFactor(await registerUser(server, 'ivan'));
+  const code = totp(secret, 1);
+
+  const first = await startLogin('ivan');
+  await enterCode(first, code);
+  assert.strictEqual(await isLoggedIn(first), true);
+
+  const replay = await startLogin('ivan');
+  await enterCode(replay, code);
+  assert.strictEqual(await isLoggedIn(replay), false);
+});
+
+test('each recovery code logs in once', async () => {
+  const { recoveryCodes } = await enableTwoFactor(await registerUser(server, 'judy'));
+
+  const first = await startLogin('judy');
+  await enterCode(first, recoveryCodes[0].toUpperCase());
+  assert.strictEqual(await isLoggedIn(first), true);
+
+  const again = await startLogin('judy');
+  await enterCode(again, recoveryCodes[0]);
+  assert.strictEqual(await isLoggedIn(again), false);
+});